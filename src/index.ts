@@ -13,25 +13,408 @@ interface Env {
 	ANTHROPIC_API_KEY?: string;
 	GEMINI_API_KEY?: string;
 	GROK_API_KEY?: string;
+	/** JSON object of model prices merged over DEFAULT_MODEL_PRICES */
+	MODEL_PRICES?: string;
+	RESPONSE_CACHE?: KVNamespace;
+	CACHE_TTL_SECONDS?: string;
+	/** "true" caches in isolate memory when no RESPONSE_CACHE binding exists (local development) */
+	CACHE_IN_MEMORY?: string;
+	AUTH_TOKENS?: KVNamespace;
+	/** "true" lets callers without a token spend the server-side keys (private deployments only) */
+	ALLOW_ANONYMOUS_ENV_KEYS?: string;
+	RATE_LIMITS?: KVNamespace;
+	RATE_LIMIT_PER_MINUTE?: string;
+	DAILY_TOKEN_QUOTA?: string;
+	DAILY_COST_QUOTA_USD?: string;
+	/** Comma-separated allowlists; see resolveCorsConfig for defaults */
+	CORS_ALLOWED_ORIGINS?: string;
+	CORS_ALLOWED_METHODS?: string;
+	CORS_ALLOWED_HEADERS?: string;
+	CORS_MAX_AGE?: string;
+	/** Background jobs; falls back to isolate memory when unbound (local development) */
+	JOBS?: KVNamespace;
+	JOB_TTL_SECONDS?: string;
+	/** HMAC key for signing job callbacks; callbackUrl is rejected without it */
+	WEBHOOK_SECRET?: string;
+}
+
+/** Registry id of a provider, e.g. `openai` */
+type ProviderId = string;
+
+type AggregateMode = 'majority' | 'confidence-weighted' | 'unanimous';
+
+/**
+ * - `default`: serve hits, store misses
+ * - `bypass`: neither read nor write the cache
+ * - `refresh`: always query, then overwrite the cache
+ * - `only`: serve hits, never query a provider
+ */
+type CacheMode = 'default' | 'bypass' | 'refresh' | 'only';
+
+/**
+ * - `all`: wait for every provider
+ * - `race`: take the first schema-valid success and abort the rest
+ * - `fallback`: try providers one at a time, in target order, until one succeeds
+ * - `quorum`: take the first `quorum` schema-valid answers that agree and abort the rest
+ */
+type Strategy = { mode: 'all' | 'race' | 'fallback' } | { mode: 'quorum'; quorum: number };
+
+interface AggregateOptions {
+	mode: AggregateMode;
+	confidenceField?: string;
 }
 
 interface QueryRequest {
-	query: string;
+	query?: string;
+	system?: string;
+	messages?: ChatMessage[];
 	schema?: any;
-	apiKeys?: {
-		openai?: string;
-		anthropic?: string;
-		gemini?: string;
-		grok?: string;
-	};
+	apiKeys?: Partial<Record<ProviderId, string>>;
+	aggregate?: AggregateOptions;
+	stream?: boolean;
+	timeoutMs?: number;
+	providerTimeouts?: Partial<Record<ProviderId, number>>;
+	retry?: Partial<RetryPolicy>;
+	providerRetry?: Partial<Record<ProviderId, Partial<RetryPolicy>>>;
+	rejectInvalid?: boolean;
+	repairAttempts?: number;
+	endpoints?: CompatibleEndpoint[];
+	models?: Partial<Record<ProviderId, string>>;
+	params?: GenerationParams;
+	targets?: QueryTarget[];
+	cache?: CacheMode;
+	cacheTtlSeconds?: number;
+	/** `all` (default), `race`, `fallback` or `quorum:N`; see Strategy */
+	strategy?: string;
+}
+
+/**
+ * One model to query. The same provider may appear several times with different
+ * models or params; `id` defaults to `provider:model` and must be unique.
+ */
+interface QueryTarget {
+	id?: string;
+	provider: ProviderId;
+	model?: string;
+	params?: GenerationParams;
+}
+
+/** Vendor-neutral generation parameters, mapped to each vendor's field names */
+interface GenerationParams {
+	temperature?: number;
+	maxTokens?: number;
+	topP?: number;
+	seed?: number;
+	stop?: string[];
+}
+
+/** A caller-supplied OpenAI-compatible chat completions endpoint (vLLM, Ollama, OpenRouter, Azure, ...) */
+interface CompatibleEndpoint {
+	id: ProviderId;
+	name?: string;
+	baseUrl: string;
+	model: string;
+	apiKey?: string;
+	headers?: Record<string, string>;
+	modalities?: Modality[];
+}
+
+interface QueryOptions {
+	target?: string;
+	prices?: PriceTable;
+	timeoutMs?: number;
+	retry?: RetryPolicy;
+	rejectInvalid?: boolean;
+	repairAttempts?: number;
+	model?: string;
+	params?: GenerationParams;
+	/** Aborts the call from outside, e.g. when another provider already won a race */
+	signal?: AbortSignal;
+}
+
+interface ChatMessage {
+	role: 'user' | 'assistant';
+	content: string | ContentPart[];
+}
+
+/**
+ * A piece of multimodal message content. Images and documents carry either
+ * base64 `data` (with `mediaType`) or a public `url`.
+ */
+type ContentPart =
+	| { type: 'text'; text: string }
+	| { type: 'image'; mediaType?: string; data?: string; url?: string }
+	| { type: 'document'; mediaType?: string; data?: string; url?: string; name?: string };
+
+type MediaPart = Exclude<ContentPart, { type: 'text' }>;
+
+/** Non-text inputs a provider may accept, split by how the bytes are delivered */
+type Modality = 'image' | 'image-url' | 'document' | 'document-url';
+
+/** What is sent to every provider: an optional system prompt and the conversation so far */
+interface Prompt {
+	system?: string;
+	messages: ChatMessage[];
+}
+
+interface ProviderRequest {
+	system?: string;
+	messages: ChatMessage[];
+	schema: any;
+	model: string;
+	/** Generation parameters already renamed to the vendor's field names */
+	params: Record<string, any>;
+}
+
+type AuthStyle = 'bearer' | 'x-api-key' | 'query-key' | 'none';
+
+interface ProviderCapabilities {
+	structuredOutput: 'json_schema' | 'tool_use' | 'response_schema';
+	modalities: readonly Modality[];
+}
+
+/**
+ * Everything the worker needs to know about a vendor. `url` may contain a
+ * `{model}` placeholder for vendors that put the model in the path.
+ */
+interface ProviderDescriptor {
+	id: ProviderId;
+	name: string;
+	url: string;
+	model: string;
+	envKey?: string;
+	auth: AuthStyle;
+	headers?: Record<string, string>;
+	schemaDialect: SchemaDialect;
+	buildBody: (request: ProviderRequest) => any;
+	parseResponse: (data: any) => ParseResult;
+	parseUsage: (data: any) => TokenUsage | undefined;
+	paramNames: Partial<Record<keyof GenerationParams, string>>;
+	capabilities: ProviderCapabilities;
+}
+
+/** One planned provider request: who to ask, with which key and options */
+interface ProviderCall {
+	descriptor: ProviderDescriptor;
+	/** Undefined when an explicitly requested target has no key configured */
+	apiKey?: string;
+	options: QueryOptions;
+}
+
+interface RetryPolicy {
+	maxAttempts: number;
+	baseDelayMs: number;
+	maxDelayMs: number;
+	jitter: boolean;
+	respectRetryAfter: boolean;
+}
+
+interface AttemptRecord {
+	attempt: number;
+	status?: number;
+	error?: string;
+	latency: number;
+	delayMs?: number;
+}
+
+interface ValidationError {
+	pointer: string;
+	keyword: string;
+	message: string;
+}
+
+type SchemaDialect = 'openai-strict' | 'anthropic' | 'gemini';
+
+interface SchemaWarning {
+	pointer: string;
+	message: string;
+}
+
+interface SchemaTranslation {
+	schema: any;
+	warnings: SchemaWarning[];
+}
+
+/** Token counts normalized across vendors; `inputTokens` includes `cachedTokens` */
+interface TokenUsage {
+	inputTokens: number;
+	outputTokens: number;
+	cachedTokens: number;
+}
+
+/** USD per million tokens. `cachedInput` defaults to `input` */
+interface ModelPrice {
+	input: number;
+	output: number;
+	cachedInput?: number;
+}
+
+type PriceTable = Record<string, ModelPrice>;
+
+/** Estimated spend in USD */
+interface CostEstimate {
+	input: number;
+	output: number;
+	total: number;
+	currency: 'USD';
 }
 
-interface LLMResponse {
+/**
+ * Machine-readable reason a provider response failed. `cache_miss` only
+ * occurs with `cache: "only"`; `cancelled` calls are reported by target in
+ * CombinedResponse.cancelled rather than as responses.
+ */
+type ErrorType =
+	| 'auth'
+	| 'rate_limit'
+	| 'timeout'
+	| 'network'
+	| 'provider_5xx'
+	| 'invalid_request'
+	| 'content_filtered'
+	| 'refusal'
+	| 'unparseable_output'
+	| 'schema_violation'
+	| 'truncated'
+	| 'cache_miss'
+	| 'cancelled';
+
+/** The vendor's own description of an error, taken from its error body */
+interface ProviderError {
+	code?: string;
+	message?: string;
+}
+
+interface SafetyRating {
+	category: string;
+	probability: string;
+	blocked?: boolean;
+}
+
+/** How the vendor says generation ended, kept in its own vocabulary */
+interface CompletionInfo {
+	/** e.g. `stop`/`length` (OpenAI, Grok), `end_turn`/`max_tokens` (Anthropic), `STOP`/`SAFETY` (Gemini) */
+	finishReason?: string;
+	/** The model's explanation when it declined */
+	refusal?: string;
+	/** Gemini only */
+	safetyRatings?: SafetyRating[];
+	/** Gemini only: the prompt was blocked before any output was generated */
+	blockReason?: string;
+}
+
+interface LLMResponse extends CompletionInfo {
 	provider: string;
+	target?: string;
+	model?: string;
 	success: boolean;
 	data?: any;
 	error?: string;
+	/** Set on every failure, along with `retryable` */
+	errorType?: ErrorType;
+	/** HTTP status of the failed provider response */
+	status?: number;
+	providerError?: ProviderError;
+	/** Whether sending the same request again might succeed */
+	retryable?: boolean;
 	latency: number;
+	attempts?: number;
+	attemptLog?: AttemptRecord[];
+	schemaValid?: boolean;
+	validationErrors?: ValidationError[];
+	repairs?: number;
+	schemaWarnings?: SchemaWarning[];
+	unsupportedParams?: (keyof GenerationParams)[];
+	usage?: TokenUsage;
+	cost?: CostEstimate;
+	cached?: boolean;
+	/** Seconds since a cached response was stored */
+	cacheAge?: number;
+}
+
+/** The subset of the Workers KV API the worker relies on, so KV and in-memory stores are interchangeable */
+interface KeyValueStore {
+	get(key: string): Promise<string | null>;
+	put(key: string, value: string, options?: { expirationTtl?: number }): Promise<void>;
+	delete(key: string): Promise<void>;
+}
+
+/**
+ * A client token as stored in AUTH_TOKENS under `token:<sha256 of the token>`,
+ * so the token itself never rests in storage.
+ */
+interface ClientToken {
+	name: string;
+	/** Providers whose server-side keys the token may spend, or '*' for all */
+	providers: ProviderId[] | '*';
+	expiresAt?: string;
+	disabled?: boolean;
+	/** Overrides the deployment-wide limits for this token */
+	limits?: ClientLimits;
+}
+
+/** An authenticated caller; `id` is a prefix of the token hash, safe to log */
+interface Caller {
+	id: string;
+	name: string;
+	providers: ProviderId[] | '*';
+	limits?: ClientLimits;
+}
+
+/** Per-caller budgets; days are UTC calendar days */
+interface ClientLimits {
+	requestsPerMinute?: number;
+	tokensPerDay?: number;
+	costPerDay?: number;
+}
+
+/** Spend recorded against a caller for one day */
+interface QuotaUsage {
+	tokens: number;
+	cost: number;
+}
+
+type LimitDecision =
+	| { allowed: true; headers: Record<string, string> }
+	| { allowed: false; error: string; headers: Record<string, string> };
+
+interface CacheEntry {
+	response: LLMResponse;
+	storedAt: number;
+}
+
+interface ResponseCacheContext {
+	store: KeyValueStore;
+	mode: CacheMode;
+	ttlSeconds: number;
+	/** Keeps cache writes alive after the response is sent */
+	defer: (promise: Promise<unknown>) => void;
+}
+
+interface FieldConsensus {
+	value: any;
+	agreement: number;
+	agreed: boolean;
+	supporters: string[];
+	dissenters: string[];
+}
+
+interface ConsensusResult {
+	mode: AggregateMode;
+	providers: string[];
+	agreed: boolean;
+	agreement: number;
+	value: any;
+	fields: Record<string, FieldConsensus>;
+	dissenters: string[];
+}
+
+/** A target left out of the fan-out because it cannot accept the request's inputs */
+interface SkippedTarget {
+	provider: string;
+	target?: string;
+	reason: string;
+	unsupportedModalities: Modality[];
 }
 
 interface CombinedResponse {
@@ -40,6 +423,149 @@ interface CombinedResponse {
 	totalLatency: number;
 	timestamp: string;
 	providersQueried: number;
+	consensus?: ConsensusResult;
+	skipped?: SkippedTarget[];
+	usage?: TokenUsage;
+	cost?: CostEstimate;
+	/** Targets that reported usage for a model missing from the price table; `cost` excludes them */
+	unpriced?: string[];
+	/** The strategy that ran, e.g. `all` or `quorum:2` */
+	strategy: string;
+	/** Targets whose answers the strategy settled on */
+	selected?: string[];
+	/** Targets aborted, or never started, because the strategy already had its answer */
+	cancelled?: string[];
+}
+
+/** What an execution strategy produced, before it is combined */
+interface StrategyOutcome {
+	responses: LLMResponse[];
+	selected?: string[];
+	cancelled: string[];
+}
+
+/** A query that cannot start, described as the HTTP error it maps to */
+interface QueryError {
+	status: number;
+	message: string;
+	details?: any;
+	headers?: Record<string, string>;
+}
+
+/** A validated request with its provider calls planned, ready to run */
+interface PreparedQuery {
+	request: QueryRequest;
+	prompt: Prompt;
+	schema: any;
+	calls: ProviderCall[];
+	skipped: SkippedTarget[];
+	cache?: ResponseCacheContext;
+	strategy: Strategy;
+}
+
+/**
+ * `POST /v1/batch` body. Each query is shallow-merged over `defaults`, so a
+ * shared schema only has to be sent once.
+ */
+interface BatchRequest {
+	queries: unknown[];
+	defaults?: Record<string, unknown>;
+	concurrency?: number;
+	stream?: boolean;
+}
+
+/** One batch item; a failed item carries the status and error its own request would have got */
+type BatchItemResult =
+	| { index: number; success: true; result: CombinedResponse }
+	| { index: number; success: false; status: number; error: string; details?: any };
+
+interface BatchResponse {
+	results: BatchItemResult[];
+	succeeded: number;
+	failed: number;
+	totalLatency: number;
+	timestamp: string;
+	usage?: TokenUsage;
+	cost?: CostEstimate;
+	unpriced?: string[];
+}
+
+type JobStatus = 'queued' | 'running' | 'succeeded' | 'failed';
+
+interface CallbackDelivery {
+	url: string;
+	delivered: boolean;
+	attempts: number;
+	/** HTTP status of the last delivery attempt */
+	status?: number;
+	error?: string;
+}
+
+/**
+ * A background query, as stored and as returned by `GET /v1/jobs/:id`. A job
+ * whose providers all failed still `succeeded`; `failed` means it could not run.
+ */
+interface Job {
+	id: string;
+	status: JobStatus;
+	createdAt: string;
+	updatedAt: string;
+	/** Caller id of the submitting token; only that token may read the job */
+	owner?: string;
+	result?: CombinedResponse;
+	error?: Omit<QueryError, 'headers'>;
+	callback?: CallbackDelivery;
+}
+
+type RouteHandler = (request: Request, env: Env, ctx: ExecutionContext, params: Record<string, string>) => Promise<Response>;
+
+/** `path` segments starting with `:` capture into `params` */
+interface Route {
+	method: string;
+	path: string;
+	handler: RouteHandler;
+}
+
+/** A registered provider as listed by `GET /v1/providers` */
+interface ProviderInfo {
+	id: ProviderId;
+	name: string;
+	model: string;
+	/** A server-side key is set; callers still need a token to use it */
+	configured: boolean;
+	structuredOutput: ProviderCapabilities['structuredOutput'];
+	schemaDialect: SchemaDialect;
+	modalities: readonly Modality[];
+	params: (keyof GenerationParams)[];
+}
+
+type ProbeOutcome = 'ok' | ErrorType;
+
+interface ProviderProbe {
+	outcome: ProbeOutcome;
+	latency: number;
+	/** HTTP status of the provider's last response; absent when none arrived */
+	status?: number;
+	model?: string;
+	error?: string;
+	providerError?: ProviderError;
+}
+
+interface ProviderHealth {
+	id: ProviderId;
+	name: string;
+	configured: boolean;
+	probe?: ProviderProbe;
+	/** Why a configured provider was not probed */
+	skipped?: string;
+}
+
+interface CorsConfig {
+	origins: string[] | '*';
+	methods: string[];
+	/** '*' reflects whatever headers the preflight asks for */
+	headers: string[] | '*';
+	maxAge: number;
 }
 
 interface LogEntry {
@@ -53,6 +579,12 @@ type Result<T, E = Error> =
 	| { success: true; value: T }
 	| { success: false; error: E };
 
+/**
+ * A parse result that also carries the provider's raw output text, when there was any.
+ * `errorType` lets a parser say why there was nothing to parse, e.g. a refusal.
+ */
+type ParseResult = Result<any, string> & { raw?: string; errorType?: ErrorType; completion?: CompletionInfo };
+
 // ============================================================================
 // Constants
 // ============================================================================
@@ -73,29 +605,174 @@ const DEFAULT_SCHEMA = {
 	additionalProperties: false
 } as const;
 
-const LLM_CONFIGS = {
-	openai: {
-		name: 'OpenAI GPT-4',
-		url: 'https://api.openai.com/v1/chat/completions',
-		model: 'gpt-4o-2024-08-06'
-	},
-	anthropic: {
-		name: 'Anthropic Claude',
-		url: 'https://api.anthropic.com/v1/messages',
-		model: 'claude-sonnet-4-20250514'
-	},
-	gemini: {
-		name: 'Google Gemini',
-		url: 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-pro:generateContent',
-		model: 'gemini-1.5-pro'
-	},
-	grok: {
-		name: 'xAI Grok',
-		url: 'https://api.x.ai/v1/chat/completions',
-		model: 'grok-2-1212'
-	}
+const AGGREGATE_MODES: readonly AggregateMode[] = ['majority', 'confidence-weighted', 'unanimous'];
+
+const DEFAULT_CONFIDENCE_FIELD = 'confidence';
+
+const TIMEOUT_ERROR = 'timeout';
+
+/** Output failures are retryable because sampling may well produce valid output next time */
+const RETRYABLE_ERROR_TYPES: readonly ErrorType[] = [
+	'rate_limit',
+	'timeout',
+	'network',
+	'provider_5xx',
+	'unparseable_output',
+	'schema_violation'
+];
+
+/** Vendor error codes for prompts or outputs blocked by a content policy */
+const CONTENT_FILTER_CODE_PATTERN = /content_filter|content_policy|safety/i;
+
+/** Gemini finish reasons for output stopped by a content policy */
+const GEMINI_BLOCKED_FINISH_REASONS = ['SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII', 'IMAGE_SAFETY'];
+
+/** Vendor error codes for bad keys that arrive as a 400 rather than a 401 */
+const AUTH_ERROR_CODE_PATTERN = /api_key_invalid|invalid_api_key|authentication/i;
+
+const CACHE_MODES: readonly CacheMode[] = ['default', 'bypass', 'refresh', 'only'];
+
+const CACHE_MISS_ERROR = 'cache_miss';
+
+const CANCELLED_ERROR = 'cancelled';
+
+const DEFAULT_CACHE_TTL_SECONDS = 3600;
+
+/** Workers KV rejects shorter expirations */
+const MIN_CACHE_TTL_SECONDS = 60;
+
+const TOKEN_KEY_PREFIX = 'token:';
+
+const DEFAULT_CORS_METHODS = ['GET', 'POST', 'OPTIONS'];
+
+const DEFAULT_CORS_HEADERS = ['Content-Type', 'Authorization', 'Accept'];
+
+const DEFAULT_CORS_MAX_AGE = 86400;
+
+/** Response headers browsers may read; everything else is hidden from cross-origin scripts */
+const CORS_EXPOSED_HEADERS = [
+	'Retry-After',
+	'X-RateLimit-Limit',
+	'X-RateLimit-Remaining',
+	'X-RateLimit-Reset',
+	'X-Quota-Tokens-Remaining',
+	'X-Quota-Cost-Remaining',
+	'X-Quota-Reset'
+];
+
+const LIMIT_NAMES: readonly (keyof ClientLimits)[] = ['requestsPerMinute', 'tokensPerDay', 'costPerDay'];
+
+const RATE_WINDOW_MS = 60_000;
+
+const DAY_MS = 86_400_000;
+
+/** Canned request for `GET /v1/health?probe=true`: tiny, cheap, and schema-checked */
+const PROBE_PROMPT: Prompt = { messages: [{ role: 'user', content: 'Health check. Reply with {"ok": true}.' }] };
+
+const PROBE_SCHEMA = {
+	type: 'object',
+	properties: { ok: { type: 'boolean' } },
+	required: ['ok'],
+	additionalProperties: false
 } as const;
 
+const PROBE_TIMEOUT_MS = 10_000;
+
+const PROBE_MAX_TOKENS = 64;
+
+const MAX_BATCH_QUERIES = 500;
+
+const DEFAULT_BATCH_CONCURRENCY = 4;
+
+const MAX_BATCH_CONCURRENCY = 16;
+
+const JOB_KEY_PREFIX = 'job:';
+
+const DEFAULT_JOB_TTL_SECONDS = 86400;
+
+/**
+ * Jobs run in `ctx.waitUntil`, which the runtime cuts off 30 seconds after the
+ * response. Capping the query well inside that leaves time to store the result,
+ * so a hung provider fails the job instead of leaving it `running`.
+ */
+const MAX_JOB_TIMEOUT_MS = 20_000;
+
+const CALLBACK_TIMEOUT_MS = 10_000;
+
+/** Receivers are often briefly unavailable, so callbacks retry where provider calls do not by default */
+const CALLBACK_RETRY_POLICY: RetryPolicy = {
+	maxAttempts: 3,
+	baseDelayMs: 1000,
+	maxDelayMs: 8000,
+	jitter: true,
+	respectRetryAfter: true
+};
+
+/** Bump to invalidate every cached response when the stored shape changes */
+const CACHE_KEY_VERSION = 1;
+
+const DEFAULT_RETRY_POLICY: RetryPolicy = {
+	maxAttempts: 1,
+	baseDelayMs: 500,
+	maxDelayMs: 8000,
+	jitter: true,
+	respectRetryAfter: true
+};
+
+const MAX_RETRY_ATTEMPTS = 10;
+
+const MAX_REPAIR_ATTEMPTS = 5;
+
+const DEFAULT_CLAUDE_MAX_TOKENS = 4096;
+
+/**
+ * List prices in USD per million tokens. Keys match a model exactly or as a
+ * prefix (the longest wins), so dated snapshots share their family's price.
+ */
+const DEFAULT_MODEL_PRICES: PriceTable = {
+	'gpt-4o': { input: 2.5, output: 10, cachedInput: 1.25 },
+	'gpt-4o-mini': { input: 0.15, output: 0.6, cachedInput: 0.075 },
+	'claude-sonnet-4': { input: 3, output: 15, cachedInput: 0.3 },
+	'claude-opus-4': { input: 15, output: 75, cachedInput: 1.5 },
+	'claude-3-5-haiku': { input: 0.8, output: 4, cachedInput: 0.08 },
+	'gemini-1.5-pro': { input: 1.25, output: 5, cachedInput: 0.3125 },
+	'gemini-1.5-flash': { input: 0.075, output: 0.3, cachedInput: 0.01875 },
+	'grok-2': { input: 2, output: 10 }
+};
+
+const MAX_TARGETS = 16;
+
+const MODALITIES: readonly Modality[] = ['image', 'image-url', 'document', 'document-url'];
+
+const IMAGE_MEDIA_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+const DOCUMENT_MEDIA_TYPES = ['application/pdf'];
+
+const GENERATION_PARAM_NAMES: readonly (keyof GenerationParams)[] = ['temperature', 'maxTokens', 'topP', 'seed', 'stop'];
+
+const OPENAI_PARAM_NAMES: Partial<Record<keyof GenerationParams, string>> = {
+	temperature: 'temperature',
+	maxTokens: 'max_tokens',
+	topP: 'top_p',
+	seed: 'seed',
+	stop: 'stop'
+};
+
+const ANTHROPIC_PARAM_NAMES: Partial<Record<keyof GenerationParams, string>> = {
+	temperature: 'temperature',
+	maxTokens: 'max_tokens',
+	topP: 'top_p',
+	stop: 'stop_sequences'
+};
+
+const GEMINI_PARAM_NAMES: Partial<Record<keyof GenerationParams, string>> = {
+	temperature: 'temperature',
+	maxTokens: 'maxOutputTokens',
+	topP: 'topP',
+	seed: 'seed',
+	stop: 'stopSequences'
+};
+
 // ============================================================================
 // Pure Utility Functions
 // ============================================================================
@@ -140,7 +817,101 @@ const safeJsonParse = <T = any>(text: string): Result<T, string> => {
 	}
 };
 
-const createErrorResponse = (status: number, message: string, details?: any): Response => {
+const isPlainObject = (value: unknown): value is Record<string, any> =>
+	typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const isPositiveNumber = (value: unknown): value is number =>
+	typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+const getErrorMessage = (error: unknown): string =>
+	error instanceof Error ? error.message : 'Unknown error';
+
+const messageText = (message: ChatMessage): string =>
+	typeof message.content === 'string'
+		? message.content
+		: message.content.flatMap((part) => (part.type === 'text' ? [part.text] : [])).join('\n');
+
+/** The text of the latest user turn, used to label a prompt in logs and responses */
+const promptText = (prompt: Prompt): string => {
+	const lastUserTurn = [...prompt.messages].reverse().find((message) => message.role === 'user');
+	return lastUserTurn ? messageText(lastUserTurn) : '';
+};
+
+const partModality = (part: MediaPart): Modality => (part.url !== undefined ? `${part.type}-url` : part.type);
+
+/** Every non-text input the prompt needs a provider to accept */
+const requiredModalities = (prompt: Prompt): Modality[] => [
+	...new Set(
+		prompt.messages.flatMap((message) =>
+			typeof message.content === 'string'
+				? []
+				: message.content.flatMap((part) => (part.type === 'text' ? [] : [partModality(part)]))
+		)
+	)
+];
+
+const sleep = (ms: number, signal?: AbortSignal): Promise<void> =>
+	new Promise((resolve, reject) => {
+		if (signal?.aborted) {
+			reject(new Error('Aborted'));
+			return;
+		}
+		const onAbort = () => {
+			clearTimeout(timer);
+			reject(new Error('Aborted'));
+		};
+		const timer = setTimeout(() => {
+			signal?.removeEventListener('abort', onAbort);
+			resolve();
+		}, ms);
+		signal?.addEventListener('abort', onAbort, { once: true });
+	});
+
+const escapePointerSegment = (segment: string): string =>
+	segment.replace(/~/g, '~0').replace(/\//g, '~1');
+
+const unescapePointerSegment = (segment: string): string =>
+	segment.replace(/~1/g, '/').replace(/~0/g, '~');
+
+const getAtPointer = (value: any, pointer: string): any =>
+	pointer === ''
+		? value
+		: pointer
+				.split('/')
+				.slice(1)
+				.map(unescapePointerSegment)
+				.reduce((node, segment) => (node == null ? undefined : node[segment]), value);
+
+/**
+ * Canonical comparison key with object keys sorted. With looseStrings, strings
+ * are trimmed and case-folded so that "Paris" and " paris" count as the same answer.
+ */
+const canonicalize = (value: any, looseStrings = true): string => {
+	if (typeof value === 'string') return JSON.stringify(looseStrings ? value.trim().toLowerCase() : value);
+	if (Array.isArray(value)) return `[${value.map((item) => canonicalize(item, looseStrings)).join(',')}]`;
+	if (isPlainObject(value)) {
+		return `{${Object.keys(value)
+			.sort()
+			.map((key) => `${JSON.stringify(key)}:${canonicalize(value[key], looseStrings)}`)
+			.join(',')}}`;
+	}
+	return JSON.stringify(value) ?? 'undefined';
+};
+
+const sha256Hex = async (text: string): Promise<string> => {
+	const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+	return [...new Uint8Array(digest)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/** Hex HMAC-SHA256, used to sign job callbacks */
+const hmacSha256Hex = async (secret: string, text: string): Promise<string> => {
+	const encoder = new TextEncoder();
+	const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+	const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(text));
+	return [...new Uint8Array(signature)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+};
+
+const createErrorResponse = (status: number, message: string, details?: any, headers: Record<string, string> = {}): Response => {
 	logError(message, { status, details });
 	return new Response(
 		JSON.stringify({
@@ -150,49 +921,560 @@ const createErrorResponse = (status: number, message: string, details?: any): Re
 		}),
 		{
 			status,
-			headers: { 'Content-Type': 'application/json' }
+			headers: { 'Content-Type': 'application/json', ...headers }
 		}
 	);
 };
 
-const createSuccessResponse = (data: CombinedResponse): Response => {
+const createJsonResponse = (data: unknown, status = 200, headers: Record<string, string> = {}): Response =>
+	new Response(JSON.stringify(data, null, 2), {
+		status,
+		headers: { 'Content-Type': 'application/json', ...headers }
+	});
+
+/**
+ * Runs fn over items with at most `limit` in flight, keeping results in input
+ * order. fn must not reject; callers turn failures into values.
+ */
+const mapWithConcurrency = async <T, R>(items: readonly T[], limit: number, fn: (item: T, index: number) => Promise<R>): Promise<R[]> => {
+	const results: R[] = new Array(items.length);
+	let next = 0;
+	const worker = async (): Promise<void> => {
+		while (next < items.length) {
+			const index = next++;
+			results[index] = await fn(items[index], index);
+		}
+	};
+	await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+	return results;
+};
+
+const formatSseEvent = (event: string, data: unknown): string =>
+	`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+const wantsEventStream = (request: Request, requestData: QueryRequest): boolean =>
+	requestData.stream === true || (request.headers.get('Accept') ?? '').includes('text/event-stream');
+
+const createSuccessResponse = (data: CombinedResponse, headers: Record<string, string> = {}): Response => {
 	logInfo('Request completed successfully', {
 		query: data.query.substring(0, 100),
 		providersQueried: data.providersQueried,
 		totalLatency: data.totalLatency
 	});
 
-	return new Response(JSON.stringify(data, null, 2), {
-		status: 200,
-		headers: {
-			'Content-Type': 'application/json',
-			'Access-Control-Allow-Origin': '*'
-		}
-	});
+	return createJsonResponse(data, 200, headers);
 };
 
 // ============================================================================
-// Request Body Builders (Pure Functions)
+// Schema Validation (Pure Functions)
 // ============================================================================
 
-const buildOpenAIRequestBody = (query: string, schema: any) => ({
-	model: LLM_CONFIGS.openai.model,
-	messages: [{ role: 'user' as const, content: query }],
-	response_format: {
-		type: 'json_schema' as const,
-		json_schema: {
-			name: 'response',
-			strict: true,
-			schema
-		}
+const matchesType = (value: any, type: string): boolean => {
+	switch (type) {
+		case 'string': return typeof value === 'string';
+		case 'number': return typeof value === 'number' && Number.isFinite(value);
+		case 'integer': return Number.isInteger(value);
+		case 'boolean': return typeof value === 'boolean';
+		case 'null': return value === null;
+		case 'array': return Array.isArray(value);
+		case 'object': return isPlainObject(value);
+		default: return true;
 	}
-});
+};
 
-const buildClaudeRequestBody = (query: string, schema: any) => ({
-	model: LLM_CONFIGS.anthropic.model,
-	max_tokens: 4096,
-	tools: [{
-		name: 'respond',
+const resolveSchemaRef = (ref: string, root: any): any =>
+	ref.startsWith('#') ? getAtPointer(root, ref.slice(1)) : undefined;
+
+/**
+ * Validates a value against the subset of JSON Schema the providers accept
+ * (plus OpenAPI `nullable`). Unknown keywords such as `format` are ignored.
+ * Errors are keyed by the JSON pointer of the offending value.
+ */
+const validateAgainstSchema = (value: any, schema: any, root: any = schema, pointer = ''): ValidationError[] => {
+	if (schema === true || schema === undefined || schema === null) return [];
+	if (schema === false) return [{ pointer, keyword: 'false', message: 'no value is allowed here' }];
+
+	const error = (keyword: string, message: string): ValidationError[] => [{ pointer, keyword, message }];
+
+	if (typeof schema.$ref === 'string') {
+		const target = resolveSchemaRef(schema.$ref, root);
+		return target === undefined
+			? error('$ref', `cannot resolve reference ${schema.$ref}`)
+			: validateAgainstSchema(value, target, root, pointer);
+	}
+
+	if (schema.nullable === true && value === null) return [];
+
+	if (schema.type !== undefined) {
+		const types: string[] = Array.isArray(schema.type) ? schema.type : [schema.type];
+		if (!types.some((type) => matchesType(value, type))) {
+			return error('type', `must be ${types.join(' or ')}`);
+		}
+	}
+
+	const errors: ValidationError[] = [];
+
+	if (Array.isArray(schema.enum) && !schema.enum.some((option: any) => canonicalize(option, false) === canonicalize(value, false))) {
+		errors.push(...error('enum', `must be one of ${JSON.stringify(schema.enum)}`));
+	}
+	if ('const' in schema && canonicalize(schema.const, false) !== canonicalize(value, false)) {
+		errors.push(...error('const', `must equal ${JSON.stringify(schema.const)}`));
+	}
+
+	if (typeof value === 'string') {
+		if (typeof schema.minLength === 'number' && value.length < schema.minLength) {
+			errors.push(...error('minLength', `must NOT have fewer than ${schema.minLength} characters`));
+		}
+		if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) {
+			errors.push(...error('maxLength', `must NOT have more than ${schema.maxLength} characters`));
+		}
+		if (typeof schema.pattern === 'string') {
+			try {
+				if (!new RegExp(schema.pattern, 'u').test(value)) {
+					errors.push(...error('pattern', `must match pattern "${schema.pattern}"`));
+				}
+			} catch {
+				errors.push(...error('pattern', `invalid pattern "${schema.pattern}"`));
+			}
+		}
+	}
+
+	if (typeof value === 'number') {
+		if (typeof schema.minimum === 'number' && value < schema.minimum) {
+			errors.push(...error('minimum', `must be >= ${schema.minimum}`));
+		}
+		if (typeof schema.maximum === 'number' && value > schema.maximum) {
+			errors.push(...error('maximum', `must be <= ${schema.maximum}`));
+		}
+		if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+			errors.push(...error('exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`));
+		}
+		if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+			errors.push(...error('exclusiveMaximum', `must be < ${schema.exclusiveMaximum}`));
+		}
+		if (isPositiveNumber(schema.multipleOf) && !Number.isInteger(value / schema.multipleOf)) {
+			errors.push(...error('multipleOf', `must be a multiple of ${schema.multipleOf}`));
+		}
+	}
+
+	if (Array.isArray(value)) {
+		if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+			errors.push(...error('minItems', `must NOT have fewer than ${schema.minItems} items`));
+		}
+		if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+			errors.push(...error('maxItems', `must NOT have more than ${schema.maxItems} items`));
+		}
+		if (schema.uniqueItems === true && new Set(value.map((item) => canonicalize(item, false))).size !== value.length) {
+			errors.push(...error('uniqueItems', 'must NOT have duplicate items'));
+		}
+		const itemSchemas: any[] = Array.isArray(schema.prefixItems) ? schema.prefixItems : [];
+		value.forEach((item, index) => {
+			const itemSchema = index < itemSchemas.length ? itemSchemas[index] : schema.items;
+			errors.push(...validateAgainstSchema(item, itemSchema, root, `${pointer}/${index}`));
+		});
+	}
+
+	if (isPlainObject(value)) {
+		const properties: Record<string, any> = isPlainObject(schema.properties) ? schema.properties : {};
+		const required: string[] = Array.isArray(schema.required) ? schema.required : [];
+
+		required
+			.filter((key) => !(key in value))
+			.forEach((key) => errors.push(...error('required', `must have required property '${key}'`)));
+
+		Object.entries(value).forEach(([key, child]) => {
+			const childPointer = `${pointer}/${escapePointerSegment(key)}`;
+			if (key in properties) {
+				errors.push(...validateAgainstSchema(child, properties[key], root, childPointer));
+			} else if (schema.additionalProperties === false) {
+				errors.push({ pointer: childPointer, keyword: 'additionalProperties', message: 'must NOT have additional properties' });
+			} else if (isPlainObject(schema.additionalProperties)) {
+				errors.push(...validateAgainstSchema(child, schema.additionalProperties, root, childPointer));
+			}
+		});
+
+		const propertyCount = Object.keys(value).length;
+		if (typeof schema.minProperties === 'number' && propertyCount < schema.minProperties) {
+			errors.push(...error('minProperties', `must NOT have fewer than ${schema.minProperties} properties`));
+		}
+		if (typeof schema.maxProperties === 'number' && propertyCount > schema.maxProperties) {
+			errors.push(...error('maxProperties', `must NOT have more than ${schema.maxProperties} properties`));
+		}
+	}
+
+	if (Array.isArray(schema.allOf)) {
+		schema.allOf.forEach((sub: any) => errors.push(...validateAgainstSchema(value, sub, root, pointer)));
+	}
+	if (Array.isArray(schema.anyOf) && !schema.anyOf.some((sub: any) => validateAgainstSchema(value, sub, root, pointer).length === 0)) {
+		errors.push(...error('anyOf', 'must match a schema in anyOf'));
+	}
+	if (Array.isArray(schema.oneOf)) {
+		const matches = schema.oneOf.filter((sub: any) => validateAgainstSchema(value, sub, root, pointer).length === 0).length;
+		if (matches !== 1) {
+			errors.push(...error('oneOf', `must match exactly one schema in oneOf (matched ${matches})`));
+		}
+	}
+	if (schema.not !== undefined && validateAgainstSchema(value, schema.not, root, pointer).length === 0) {
+		errors.push(...error('not', 'must NOT be valid against the schema in not'));
+	}
+
+	return errors;
+};
+
+const formatValidationErrors = (errors: ValidationError[]): string =>
+	errors.map((e) => `${e.pointer || '/'} ${e.message}`).join('; ');
+
+// ============================================================================
+// Schema Translation (Pure Functions)
+// ============================================================================
+
+const OPENAI_STRICT_UNSUPPORTED_KEYWORDS = [
+	'format', 'pattern', 'minLength', 'maxLength', 'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum',
+	'multipleOf', 'minItems', 'maxItems', 'uniqueItems', 'minProperties', 'maxProperties', 'patternProperties',
+	'prefixItems', 'contains', 'not', 'if', 'then', 'else', 'dependentRequired', 'dependentSchemas', 'default', 'examples'
+];
+
+const GEMINI_TYPES: Record<string, string> = {
+	string: 'STRING',
+	number: 'NUMBER',
+	integer: 'INTEGER',
+	boolean: 'BOOLEAN',
+	array: 'ARRAY',
+	object: 'OBJECT'
+};
+
+const GEMINI_FORMATS: Record<string, string[]> = {
+	string: ['enum', 'date-time'],
+	number: ['float', 'double'],
+	integer: ['int32', 'int64']
+};
+
+/** Keywords that carry no meaning for generation and are dropped without a warning */
+const ANNOTATION_KEYWORDS = ['$schema', '$id', '$comment', 'title', '$defs', 'definitions'];
+
+const warnAt = (warnings: SchemaWarning[], pointer: string, message: string): void => {
+	warnings.push({ pointer: pointer || '/', message });
+};
+
+/**
+ * Replaces local $refs with the schemas they point to. Recursive references
+ * cannot be expressed inline, so they become an unconstrained schema.
+ */
+const inlineSchemaRefs = (schema: any, root: any, pointer: string, stack: string[], warnings: SchemaWarning[]): any => {
+	if (Array.isArray(schema)) {
+		return schema.map((item, index) => inlineSchemaRefs(item, root, `${pointer}/${index}`, stack, warnings));
+	}
+	if (!isPlainObject(schema)) return schema;
+
+	if (typeof schema.$ref === 'string') {
+		const { $ref, ...siblings } = schema;
+		const target = resolveSchemaRef($ref, root);
+		if (target === undefined) {
+			warnAt(warnings, pointer, `dropped unresolvable reference ${$ref}`);
+			return inlineSchemaRefs(siblings, root, pointer, stack, warnings);
+		}
+		if (stack.includes($ref)) {
+			warnAt(warnings, pointer, `replaced recursive reference ${$ref} with an unconstrained schema`);
+			return siblings;
+		}
+		return inlineSchemaRefs({ ...target, ...siblings }, root, pointer, [...stack, $ref], warnings);
+	}
+
+	return Object.fromEntries(
+		Object.entries(schema)
+			.filter(([key]) => pointer !== '' || (key !== '$defs' && key !== 'definitions'))
+			.map(([key, value]) => [
+				key,
+				key === 'enum' || key === 'const'
+					? value
+					: inlineSchemaRefs(value, root, `${pointer}/${escapePointerSegment(key)}`, stack, warnings)
+			])
+	);
+};
+
+/**
+ * Folds allOf members into the parent schema. Later members win on conflicting keywords.
+ */
+const mergeAllOf = (schema: any, pointer: string, warnings: SchemaWarning[]): any => {
+	if (!Array.isArray(schema.allOf)) return schema;
+
+	const { allOf, ...rest } = schema;
+	warnAt(warnings, pointer, 'merged allOf into a single schema');
+	return [rest, ...allOf].filter(isPlainObject).reduce((merged, member) => ({
+		...merged,
+		...member,
+		properties: { ...merged.properties, ...member.properties },
+		required: [...new Set([...(merged.required ?? []), ...(member.required ?? [])])]
+	}), {});
+};
+
+const isObjectSchema = (schema: any): boolean =>
+	schema.type === 'object' || (Array.isArray(schema.type) && schema.type.includes('object')) || isPlainObject(schema.properties);
+
+const makeNullable = (schema: any): any => {
+	if (!isPlainObject(schema)) return schema;
+	if (typeof schema.type === 'string') return { ...schema, type: [schema.type, 'null'] };
+	if (Array.isArray(schema.type)) return schema.type.includes('null') ? schema : { ...schema, type: [...schema.type, 'null'] };
+	if (Array.isArray(schema.anyOf)) {
+		return schema.anyOf.some((option: any) => option?.type === 'null') ? schema : { ...schema, anyOf: [...schema.anyOf, { type: 'null' }] };
+	}
+	return { anyOf: [schema, { type: 'null' }] };
+};
+
+/**
+ * OpenAI strict mode: every object closed with additionalProperties:false and
+ * every property required. Optional properties become required-but-nullable.
+ */
+const toOpenAIStrictSchema = (schema: any, pointer: string, warnings: SchemaWarning[]): any => {
+	if (!isPlainObject(schema)) return schema;
+
+	const node = mergeAllOf(schema, pointer, warnings);
+	const out: Record<string, any> = {};
+
+	Object.entries(node).forEach(([key, value]) => {
+		const childPointer = `${pointer}/${escapePointerSegment(key)}`;
+		if (OPENAI_STRICT_UNSUPPORTED_KEYWORDS.includes(key)) {
+			warnAt(warnings, pointer, `dropped unsupported keyword '${key}'`);
+		} else if (key === 'properties' && isPlainObject(value)) {
+			out.properties = Object.fromEntries(
+				Object.entries(value).map(([name, child]) => [
+					name,
+					toOpenAIStrictSchema(child, `${childPointer}/${escapePointerSegment(name)}`, warnings)
+				])
+			);
+		} else if (key === 'items') {
+			out.items = toOpenAIStrictSchema(value, childPointer, warnings);
+		} else if ((key === 'anyOf' || key === 'oneOf') && Array.isArray(value)) {
+			if (key === 'oneOf') warnAt(warnings, pointer, 'converted oneOf to anyOf');
+			out.anyOf = value.map((option, index) => toOpenAIStrictSchema(option, `${childPointer}/${index}`, warnings));
+		} else if (key !== 'additionalProperties' && key !== 'required') {
+			out[key] = value;
+		}
+	});
+
+	if (isObjectSchema(node)) {
+		const properties: Record<string, any> = out.properties ?? {};
+		const required = new Set<string>(Array.isArray(node.required) ? node.required : []);
+		const optional = Object.keys(properties).filter((name) => !required.has(name));
+
+		if (optional.length > 0) {
+			warnAt(warnings, pointer, `made optional properties required and nullable: ${optional.join(', ')}`);
+		}
+		if (node.additionalProperties !== undefined && node.additionalProperties !== false) {
+			warnAt(warnings, pointer, 'replaced additionalProperties with false');
+		}
+
+		out.properties = Object.fromEntries(
+			Object.entries(properties).map(([name, child]) => [name, required.has(name) ? child : makeNullable(child)])
+		);
+		out.required = Object.keys(properties);
+		out.additionalProperties = false;
+	}
+
+	return out;
+};
+
+/**
+ * Gemini responseSchema: an OpenAPI 3.0 subset with uppercase types, `nullable`
+ * instead of type unions, string-only enums and no union or object-map keywords.
+ */
+const toGeminiSchema = (schema: any, pointer: string, warnings: SchemaWarning[]): any => {
+	if (!isPlainObject(schema)) return schema;
+
+	let node = mergeAllOf(schema, pointer, warnings);
+
+	const unionKey = Array.isArray(node.anyOf) ? 'anyOf' : Array.isArray(node.oneOf) ? 'oneOf' : undefined;
+	if (unionKey) {
+		const { anyOf, oneOf, ...rest } = node;
+		const options: any[] = node[unionKey];
+		const nonNull = options.filter((option) => !(isPlainObject(option) && option.type === 'null'));
+		if (nonNull.length > 1) warnAt(warnings, pointer, `kept only the first ${unionKey} option`);
+		node = { ...rest, ...nonNull[0], ...(nonNull.length < options.length && { nullable: true }) };
+	}
+
+	if ('const' in node) {
+		const { const: constValue, ...rest } = node;
+		node = { ...rest, enum: [constValue] };
+	}
+
+	const out: Record<string, any> = {};
+	const types: string[] = Array.isArray(node.type) ? node.type : node.type !== undefined ? [node.type] : [];
+	const nonNullTypes = types.filter((type) => type !== 'null');
+	const baseType = nonNullTypes[0];
+
+	if (nonNullTypes.length > 1) warnAt(warnings, pointer, `kept only the first of types ${nonNullTypes.join(', ')}`);
+	if (baseType !== undefined) {
+		if (GEMINI_TYPES[baseType]) {
+			out.type = GEMINI_TYPES[baseType];
+		} else {
+			warnAt(warnings, pointer, `dropped unsupported type '${baseType}'`);
+		}
+	}
+	if (types.includes('null') || node.nullable === true) out.nullable = true;
+
+	Object.entries(node).forEach(([key, value]) => {
+		const childPointer = `${pointer}/${escapePointerSegment(key)}`;
+		switch (key) {
+			case 'type':
+			case 'nullable':
+				break;
+			case 'description':
+			case 'minItems':
+			case 'maxItems':
+			case 'propertyOrdering':
+				out[key] = value;
+				break;
+			case 'enum':
+				if (Array.isArray(value) && value.every((option) => typeof option === 'string')) {
+					out.enum = value;
+				} else {
+					warnAt(warnings, pointer, 'dropped enum with non-string values');
+				}
+				break;
+			case 'format':
+				if (baseType !== undefined && GEMINI_FORMATS[baseType]?.includes(value as string)) {
+					out.format = value;
+				} else {
+					warnAt(warnings, pointer, `dropped unsupported format '${value}'`);
+				}
+				break;
+			case 'properties':
+				if (isPlainObject(value)) {
+					out.properties = Object.fromEntries(
+						Object.entries(value).map(([name, child]) => [
+							name,
+							toGeminiSchema(child, `${childPointer}/${escapePointerSegment(name)}`, warnings)
+						])
+					);
+				}
+				break;
+			case 'required':
+				if (Array.isArray(value)) {
+					out.required = value.filter((name) => isPlainObject(node.properties) && name in node.properties);
+				}
+				break;
+			case 'items':
+				out.items = toGeminiSchema(value, childPointer, warnings);
+				break;
+			case 'additionalProperties':
+				if (value !== false) warnAt(warnings, pointer, 'dropped unsupported keyword \'additionalProperties\'');
+				break;
+			default:
+				if (!ANNOTATION_KEYWORDS.includes(key)) warnAt(warnings, pointer, `dropped unsupported keyword '${key}'`);
+		}
+	});
+
+	if (out.enum && !out.type) out.type = 'STRING';
+
+	return out;
+};
+
+/**
+ * Rewrites a user schema into the dialect a provider accepts, reporting every
+ * lossy conversion. Validation still runs against the original schema.
+ */
+const translateSchema = (schema: any, dialect: SchemaDialect): SchemaTranslation => {
+	const warnings: SchemaWarning[] = [];
+	const inlined = inlineSchemaRefs(schema, schema, '', [], warnings);
+
+	switch (dialect) {
+		case 'openai-strict':
+			return { schema: toOpenAIStrictSchema(inlined, '', warnings), warnings };
+		case 'gemini':
+			return { schema: toGeminiSchema(inlined, '', warnings), warnings };
+		default:
+			return { schema: inlined, warnings };
+	}
+};
+
+/**
+ * Undoes the required-but-nullable rewrite of OpenAI strict mode: a null for a
+ * property that was optional (and not nullable) in the original schema is removed.
+ */
+const stripInjectedNulls = (value: any, schema: any, root: any = schema): any => {
+	if (!isPlainObject(schema)) return value;
+	if (typeof schema.$ref === 'string') return stripInjectedNulls(value, resolveSchemaRef(schema.$ref, root), root);
+	if (Array.isArray(value)) return value.map((item) => stripInjectedNulls(item, schema.items, root));
+	if (!isPlainObject(value) || !isPlainObject(schema.properties)) return value;
+
+	const properties: Record<string, any> = schema.properties;
+	const required = new Set<string>(Array.isArray(schema.required) ? schema.required : []);
+
+	return Object.fromEntries(
+		Object.entries(value)
+			.filter(([key, child]) =>
+				!(child === null && key in properties && !required.has(key) && validateAgainstSchema(null, properties[key], root).length > 0)
+			)
+			.map(([key, child]) => [key, stripInjectedNulls(child, properties[key], root)])
+	);
+};
+
+// ============================================================================
+// Request Body Builders (Pure Functions)
+// ============================================================================
+
+const toDataUrl = (part: MediaPart): string => part.url ?? `data:${part.mediaType};base64,${part.data}`;
+
+const toOpenAIContent = (content: ChatMessage['content']) =>
+	typeof content === 'string'
+		? content
+		: content.map((part) => {
+				switch (part.type) {
+					case 'text':
+						return { type: 'text', text: part.text };
+					case 'image':
+						return { type: 'image_url', image_url: { url: toDataUrl(part) } };
+					case 'document':
+						return { type: 'file', file: { filename: part.name ?? 'document.pdf', file_data: toDataUrl(part) } };
+				}
+			});
+
+const toOpenAIMessages = (system: string | undefined, messages: ChatMessage[]) => [
+	...(system ? [{ role: 'system' as const, content: system }] : []),
+	...messages.map((message) => ({ role: message.role, content: toOpenAIContent(message.content) }))
+];
+
+const toClaudeSource = (part: MediaPart) =>
+	part.url !== undefined
+		? { type: 'url', url: part.url }
+		: { type: 'base64', media_type: part.mediaType, data: part.data };
+
+const toClaudeContent = (content: ChatMessage['content']) =>
+	typeof content === 'string'
+		? content
+		: content.map((part) =>
+				part.type === 'text' ? { type: 'text', text: part.text } : { type: part.type, source: toClaudeSource(part) }
+			);
+
+/** Gemini only takes inline bytes; URL parts are filtered out earlier by the modality check */
+const toGeminiParts = (content: ChatMessage['content']) =>
+	typeof content === 'string'
+		? [{ text: content }]
+		: content.map((part) =>
+				part.type === 'text' ? { text: part.text } : { inlineData: { mimeType: part.mediaType, data: part.data } }
+			);
+
+const buildOpenAIRequestBody = ({ system, messages, schema, model, params }: ProviderRequest) => ({
+	model,
+	messages: toOpenAIMessages(system, messages),
+	...params,
+	response_format: {
+		type: 'json_schema' as const,
+		json_schema: {
+			name: 'response',
+			strict: true,
+			schema
+		}
+	}
+});
+
+const buildClaudeRequestBody = ({ system, messages, schema, model, params }: ProviderRequest) => ({
+	model,
+	max_tokens: DEFAULT_CLAUDE_MAX_TOKENS,
+	...params,
+	...(system && { system }),
+	tools: [{
+		name: 'respond',
 		description: 'Respond to the query with structured data',
 		input_schema: schema
 	}],
@@ -200,22 +1482,26 @@ const buildClaudeRequestBody = (query: string, schema: any) => ({
 		type: 'tool' as const,
 		name: 'respond'
 	},
-	messages: [{ role: 'user' as const, content: query }]
+	messages: messages.map((message) => ({ role: message.role, content: toClaudeContent(message.content) }))
 });
 
-const buildGeminiRequestBody = (query: string, schema: any) => ({
-	contents: [{
-		parts: [{ text: query }]
-	}],
+const buildGeminiRequestBody = ({ system, messages, schema, params }: ProviderRequest) => ({
+	...(system && { systemInstruction: { parts: [{ text: system }] } }),
+	contents: messages.map((message) => ({
+		role: message.role === 'assistant' ? 'model' : 'user',
+		parts: toGeminiParts(message.content)
+	})),
 	generationConfig: {
+		...params,
 		responseMimeType: 'application/json',
 		responseSchema: schema
 	}
 });
 
-const buildGrokRequestBody = (query: string, schema: any) => ({
-	model: LLM_CONFIGS.grok.model,
-	messages: [{ role: 'user' as const, content: query }],
+const buildGrokRequestBody = ({ system, messages, schema, model, params }: ProviderRequest) => ({
+	model,
+	messages: toOpenAIMessages(system, messages),
+	...params,
 	response_format: {
 		type: 'json_schema' as const,
 		json_schema: {
@@ -226,256 +1512,2322 @@ const buildGrokRequestBody = (query: string, schema: any) => ({
 	}
 });
 
-// ============================================================================
-// Response Parsers (Pure Functions)
-// ============================================================================
+// ============================================================================
+// Response Parsers (Pure Functions)
+// ============================================================================
+
+/** Drops fields the vendor did not send so they do not show up as `undefined` */
+const compactCompletion = (completion: CompletionInfo): CompletionInfo | undefined => {
+	const present = Object.entries(completion).filter(([, value]) => value !== undefined && value !== null && value !== '');
+	return present.length > 0 ? Object.fromEntries(present) : undefined;
+};
+
+/**
+ * Truncated output is reported without `raw`: asking for a repair would only
+ * hit the same token limit again.
+ */
+const truncatedOutput = (vendor: string, completion?: CompletionInfo): ParseResult => ({
+	success: false,
+	error: `${vendor} output was cut off at the token limit`,
+	errorType: 'truncated',
+	completion
+});
+
+/** OpenAI and Grok share the chat completions shape */
+const parseChatCompletion = (data: any, vendor: string): ParseResult => {
+	const choice = data?.choices?.[0];
+	const message = choice?.message;
+	const completion = compactCompletion({ finishReason: choice?.finish_reason, refusal: message?.refusal });
+
+	if (message?.refusal) {
+		return { success: false, error: `${vendor} declined: ${message.refusal}`, errorType: 'refusal', completion };
+	}
+	if (choice?.finish_reason === 'content_filter') {
+		return { success: false, error: `${vendor} output was blocked by its content filter`, errorType: 'content_filtered', completion };
+	}
+	if (choice?.finish_reason === 'length') {
+		return truncatedOutput(vendor, completion);
+	}
+
+	const content = message?.content;
+	if (!content) {
+		return { success: false, error: `No content in ${vendor} response`, completion };
+	}
+	return { ...safeJsonParse(content), raw: content, completion };
+};
+
+const parseOpenAIResponse = (data: any): ParseResult => {
+	try {
+		return parseChatCompletion(data, 'OpenAI');
+	} catch (error) {
+		return { success: false, error: `OpenAI parse error: ${error}` };
+	}
+};
+
+/** A forced tool call can still stop early: `max_tokens` leaves partial input, `refusal` leaves only text */
+const parseClaudeResponse = (data: any): ParseResult => {
+	try {
+		const blocks: any[] = Array.isArray(data?.content) ? data.content : [];
+		const text = blocks
+			.filter((block) => block.type === 'text')
+			.map((block) => block.text)
+			.join('\n')
+			.trim();
+		const stopReason = data?.stop_reason;
+		const completion = compactCompletion({ finishReason: stopReason, refusal: stopReason === 'refusal' ? text : undefined });
+
+		if (stopReason === 'refusal') {
+			return { success: false, error: `Claude declined${text ? `: ${text}` : ''}`, errorType: 'refusal', completion };
+		}
+		if (stopReason === 'max_tokens') {
+			return truncatedOutput('Claude', completion);
+		}
+
+		const toolUse = blocks.find((block) => block.type === 'tool_use');
+		if (!toolUse?.input) {
+			return { success: false, error: 'No tool_use in Claude response', completion };
+		}
+		return { success: true, value: toolUse.input, raw: JSON.stringify(toolUse.input), completion };
+	} catch (error) {
+		return { success: false, error: `Claude parse error: ${error}` };
+	}
+};
+
+const parseSafetyRatings = (ratings: any): SafetyRating[] | undefined =>
+	Array.isArray(ratings) && ratings.length > 0
+		? ratings.map((rating: any) => ({
+				category: String(rating?.category),
+				probability: String(rating?.probability),
+				...(rating?.blocked === true && { blocked: true })
+			}))
+		: undefined;
+
+/** A blocked prompt has no candidates; a blocked answer has a candidate with a safety finish reason */
+const parseGeminiResponse = (data: any): ParseResult => {
+	try {
+		const feedback = data?.promptFeedback;
+		const candidate = data?.candidates?.[0];
+		const completion = compactCompletion({
+			finishReason: candidate?.finishReason,
+			safetyRatings: parseSafetyRatings(candidate?.safetyRatings ?? feedback?.safetyRatings),
+			blockReason: feedback?.blockReason
+		});
+
+		if (feedback?.blockReason) {
+			const detail = feedback.blockReasonMessage ? `: ${feedback.blockReasonMessage}` : '';
+			return {
+				success: false,
+				error: `Gemini blocked the prompt (${feedback.blockReason})${detail}`,
+				errorType: 'content_filtered',
+				completion
+			};
+		}
+		if (GEMINI_BLOCKED_FINISH_REASONS.includes(candidate?.finishReason)) {
+			return {
+				success: false,
+				error: `Gemini blocked the output (${candidate.finishReason})`,
+				errorType: 'content_filtered',
+				completion
+			};
+		}
+		if (candidate?.finishReason === 'MAX_TOKENS') {
+			return truncatedOutput('Gemini', completion);
+		}
+
+		const content = candidate?.content?.parts?.[0]?.text;
+		if (!content) {
+			return { success: false, error: 'No content in Gemini response', completion };
+		}
+		return { ...safeJsonParse(content), raw: content, completion };
+	} catch (error) {
+		return { success: false, error: `Gemini parse error: ${error}` };
+	}
+};
+
+const parseGrokResponse = (data: any): ParseResult => {
+	try {
+		return parseChatCompletion(data, 'Grok');
+	} catch (error) {
+		return { success: false, error: `Grok parse error: ${error}` };
+	}
+};
+
+/**
+ * Reads the vendor's error body. OpenAI and Grok send `{error: {message, code, type}}`,
+ * Anthropic `{type: "error", error: {type, message}}`, and Gemini
+ * `{error: {code, message, status, details: [{reason}]}}`.
+ */
+const parseProviderError = (responseText: string): ProviderError | undefined => {
+	const parsed = safeJsonParse(responseText);
+	if (!parsed.success) return undefined;
+
+	const error = parsed.value?.error;
+	if (typeof error === 'string') return { message: error };
+	if (!isPlainObject(error)) return undefined;
+
+	const reason = Array.isArray(error.details) ? error.details.find((detail: any) => typeof detail?.reason === 'string')?.reason : undefined;
+	const code = [reason, error.code, error.status, error.type].find((candidate) => typeof candidate === 'string' && candidate.length > 0);
+	const message = typeof error.message === 'string' ? error.message : undefined;
+	return code === undefined && message === undefined ? undefined : { ...(code && { code }), ...(message && { message }) };
+};
+
+const parseOpenAIUsage = (data: any): TokenUsage | undefined => {
+	const usage = data?.usage;
+	if (!isPlainObject(usage)) return undefined;
+	return {
+		inputTokens: usage.prompt_tokens ?? 0,
+		outputTokens: usage.completion_tokens ?? 0,
+		cachedTokens: usage.prompt_tokens_details?.cached_tokens ?? 0
+	};
+};
+
+/** Anthropic reports cache reads and writes separately from `input_tokens` */
+const parseClaudeUsage = (data: any): TokenUsage | undefined => {
+	const usage = data?.usage;
+	if (!isPlainObject(usage)) return undefined;
+	const cachedTokens = usage.cache_read_input_tokens ?? 0;
+	return {
+		inputTokens: (usage.input_tokens ?? 0) + cachedTokens + (usage.cache_creation_input_tokens ?? 0),
+		outputTokens: usage.output_tokens ?? 0,
+		cachedTokens
+	};
+};
+
+/** Thinking tokens are billed as output */
+const parseGeminiUsage = (data: any): TokenUsage | undefined => {
+	const usage = data?.usageMetadata;
+	if (!isPlainObject(usage)) return undefined;
+	return {
+		inputTokens: usage.promptTokenCount ?? 0,
+		outputTokens: (usage.candidatesTokenCount ?? 0) + (usage.thoughtsTokenCount ?? 0),
+		cachedTokens: usage.cachedContentTokenCount ?? 0
+	};
+};
+
+// ============================================================================
+// Usage Accounting (Pure Functions)
+// ============================================================================
+
+const addUsage = (a: TokenUsage | undefined, b: TokenUsage | undefined): TokenUsage | undefined =>
+	a && b
+		? {
+				inputTokens: a.inputTokens + b.inputTokens,
+				outputTokens: a.outputTokens + b.outputTokens,
+				cachedTokens: a.cachedTokens + b.cachedTokens
+			}
+		: a ?? b;
+
+const findModelPrice = (prices: PriceTable, model: string): ModelPrice | undefined => {
+	const key = Object.keys(prices)
+		.filter((candidate) => model === candidate || model.startsWith(candidate))
+		.reduce<string | undefined>((best, candidate) => (!best || candidate.length > best.length ? candidate : best), undefined);
+	return key === undefined ? undefined : prices[key];
+};
+
+/** Rounds to a millionth of a dollar so sums stay readable */
+const roundUsd = (amount: number): number => Math.round(amount * 1e6) / 1e6;
+
+const estimateCost = (usage: TokenUsage, price: ModelPrice): CostEstimate => {
+	const uncachedInput = Math.max(usage.inputTokens - usage.cachedTokens, 0);
+	const input = (uncachedInput * price.input + usage.cachedTokens * (price.cachedInput ?? price.input)) / 1e6;
+	const output = (usage.outputTokens * price.output) / 1e6;
+	return { input: roundUsd(input), output: roundUsd(output), total: roundUsd(input + output), currency: 'USD' };
+};
+
+const addCost = (a: CostEstimate, b: CostEstimate): CostEstimate => ({
+	input: roundUsd(a.input + b.input),
+	output: roundUsd(a.output + b.output),
+	total: roundUsd(a.total + b.total),
+	currency: 'USD'
+});
+
+/** Fan-out totals; responses without a price are listed so partial totals are visible. Cache hits are excluded */
+const summarizeUsage = (allResponses: LLMResponse[]): Pick<CombinedResponse, 'usage' | 'cost' | 'unpriced'> => {
+	// Cache hits cost nothing this time round
+	const responses = allResponses.filter((response) => !response.cached);
+	const usage = responses.reduce<TokenUsage | undefined>((total, response) => addUsage(total, response.usage), undefined);
+	if (!usage) return {};
+
+	const cost = responses.reduce<CostEstimate>(
+		(total, response) => (response.cost ? addCost(total, response.cost) : total),
+		{ input: 0, output: 0, total: 0, currency: 'USD' }
+	);
+	const unpriced = responses.filter((response) => response.usage && !response.cost).map((response) => response.target ?? response.provider);
+	return { usage, cost, ...(unpriced.length > 0 && { unpriced }) };
+};
+
+// ============================================================================
+// Provider Registry
+// ============================================================================
+
+/**
+ * Builds the registry from provider descriptors. Adding a vendor means adding
+ * one descriptor here; key resolution and fan-out iterate the registry.
+ */
+const createProviderRegistry = (descriptors: ProviderDescriptor[]): ReadonlyMap<ProviderId, ProviderDescriptor> =>
+	descriptors.reduce((registry, descriptor) => {
+		if (registry.has(descriptor.id)) {
+			throw new Error(`Duplicate provider id: ${descriptor.id}`);
+		}
+		return new Map(registry).set(descriptor.id, descriptor);
+	}, new Map<ProviderId, ProviderDescriptor>());
+
+const PROVIDER_REGISTRY = createProviderRegistry([
+	{
+		id: 'openai',
+		name: 'OpenAI GPT-4',
+		url: 'https://api.openai.com/v1/chat/completions',
+		model: 'gpt-4o-2024-08-06',
+		envKey: 'OPENAI_API_KEY',
+		auth: 'bearer',
+		schemaDialect: 'openai-strict',
+		buildBody: buildOpenAIRequestBody,
+		parseResponse: parseOpenAIResponse,
+		parseUsage: parseOpenAIUsage,
+		paramNames: OPENAI_PARAM_NAMES,
+		capabilities: { structuredOutput: 'json_schema', modalities: ['image', 'image-url', 'document'] }
+	},
+	{
+		id: 'anthropic',
+		name: 'Anthropic Claude',
+		url: 'https://api.anthropic.com/v1/messages',
+		model: 'claude-sonnet-4-20250514',
+		envKey: 'ANTHROPIC_API_KEY',
+		auth: 'x-api-key',
+		headers: { 'anthropic-version': '2023-06-01' },
+		schemaDialect: 'anthropic',
+		buildBody: buildClaudeRequestBody,
+		parseResponse: parseClaudeResponse,
+		parseUsage: parseClaudeUsage,
+		paramNames: ANTHROPIC_PARAM_NAMES,
+		capabilities: { structuredOutput: 'tool_use', modalities: ['image', 'image-url', 'document', 'document-url'] }
+	},
+	{
+		id: 'gemini',
+		name: 'Google Gemini',
+		url: 'https://generativelanguage.googleapis.com/v1beta/models/{model}:generateContent',
+		model: 'gemini-1.5-pro',
+		envKey: 'GEMINI_API_KEY',
+		auth: 'query-key',
+		schemaDialect: 'gemini',
+		buildBody: buildGeminiRequestBody,
+		parseResponse: parseGeminiResponse,
+		parseUsage: parseGeminiUsage,
+		paramNames: GEMINI_PARAM_NAMES,
+		capabilities: { structuredOutput: 'response_schema', modalities: ['image', 'document'] }
+	},
+	{
+		id: 'grok',
+		name: 'xAI Grok',
+		url: 'https://api.x.ai/v1/chat/completions',
+		model: 'grok-2-1212',
+		envKey: 'GROK_API_KEY',
+		auth: 'bearer',
+		schemaDialect: 'openai-strict',
+		buildBody: buildGrokRequestBody,
+		parseResponse: parseGrokResponse,
+		parseUsage: parseOpenAIUsage,
+		paramNames: OPENAI_PARAM_NAMES,
+		capabilities: { structuredOutput: 'json_schema', modalities: ['image', 'image-url'] }
+	}
+]);
+
+const listProviders = (): ProviderDescriptor[] => [...PROVIDER_REGISTRY.values()];
+
+const CHAT_COMPLETIONS_PATH = '/chat/completions';
+
+/**
+ * Accepts either an API base (`http://localhost:11434/v1`) or a full chat
+ * completions URL; query strings such as Azure's `api-version` are kept.
+ */
+const resolveChatCompletionsUrl = (baseUrl: string): string => {
+	const url = new URL(baseUrl);
+	if (!url.pathname.endsWith(CHAT_COMPLETIONS_PATH)) {
+		url.pathname = `${url.pathname.replace(/\/+$/, '')}${CHAT_COMPLETIONS_PATH}`;
+	}
+	return url.toString();
+};
+
+/**
+ * Describes a caller-supplied endpoint with the OpenAI body builder and parser.
+ * There is no environment fallback: the key, if any, comes with the endpoint.
+ */
+const createCompatibleDescriptor = (endpoint: CompatibleEndpoint): ProviderDescriptor => ({
+	id: endpoint.id,
+	name: endpoint.name ?? endpoint.id,
+	url: resolveChatCompletionsUrl(endpoint.baseUrl),
+	model: endpoint.model,
+	auth: endpoint.apiKey ? 'bearer' : 'none',
+	headers: endpoint.headers,
+	schemaDialect: 'openai-strict',
+	buildBody: buildOpenAIRequestBody,
+	parseResponse: parseOpenAIResponse,
+	parseUsage: parseOpenAIUsage,
+	paramNames: OPENAI_PARAM_NAMES,
+	capabilities: { structuredOutput: 'json_schema', modalities: endpoint.modalities ?? [] }
+});
+
+/**
+ * Renames generation parameters to the vendor's field names. Parameters the
+ * vendor has no equivalent for are returned separately so they can be reported.
+ */
+const mapGenerationParams = (
+	params: GenerationParams,
+	paramNames: ProviderDescriptor['paramNames']
+): { mapped: Record<string, any>; unsupported: (keyof GenerationParams)[] } => {
+	const entries = (Object.keys(params) as (keyof GenerationParams)[]).filter((name) => params[name] !== undefined);
+	return {
+		mapped: Object.fromEntries(
+			entries.filter((name) => paramNames[name]).map((name) => [paramNames[name] as string, params[name]])
+		),
+		unsupported: entries.filter((name) => !paramNames[name])
+	};
+};
+
+const buildProviderHeaders = (descriptor: ProviderDescriptor, apiKey: string): Record<string, string> => ({
+	'Content-Type': 'application/json',
+	...(descriptor.auth === 'bearer' && { 'Authorization': `Bearer ${apiKey}` }),
+	...(descriptor.auth === 'x-api-key' && { 'x-api-key': apiKey }),
+	...descriptor.headers
+});
+
+const buildProviderUrl = (descriptor: ProviderDescriptor, model: string, apiKey: string): string => {
+	const url = descriptor.url.replace('{model}', encodeURIComponent(model));
+	return descriptor.auth === 'query-key'
+		? `${url}${url.includes('?') ? '&' : '?'}key=${encodeURIComponent(apiKey)}`
+		: url;
+};
+
+// ============================================================================
+// LLM Query Functions (Side Effects)
+// ============================================================================
+
+const isRetryableStatus = (status: number): boolean => status === 429 || status >= 500;
+
+const classifyHttpError = (status: number, providerError?: ProviderError): ErrorType => {
+	const code = providerError?.code ?? '';
+	if (status === 401 || status === 403 || AUTH_ERROR_CODE_PATTERN.test(code)) return 'auth';
+	if (status === 429) return 'rate_limit';
+	if (status === 408) return 'timeout';
+	if (status >= 500) return 'provider_5xx';
+	return CONTENT_FILTER_CODE_PATTERN.test(code) ? 'content_filtered' : 'invalid_request';
+};
+
+const describeFailure = (errorType: ErrorType) => ({ errorType, retryable: RETRYABLE_ERROR_TYPES.includes(errorType) });
+
+/**
+ * Parses a Retry-After header, which is either delta-seconds or an HTTP date.
+ */
+const parseRetryAfter = (header: string | null, now = Date.now()): number | undefined => {
+	if (!header) return undefined;
+
+	const seconds = Number(header);
+	if (Number.isFinite(seconds)) return Math.max(seconds * 1000, 0);
+
+	const date = Date.parse(header);
+	return Number.isNaN(date) ? undefined : Math.max(date - now, 0);
+};
+
+/**
+ * Exponential backoff capped at maxDelayMs. Jitter picks a delay between half
+ * and all of the backoff so retries from parallel callers spread out.
+ * A Retry-After hint, when honored, is used as a floor.
+ */
+const computeBackoffDelay = (
+	policy: RetryPolicy,
+	attempt: number,
+	retryAfterMs?: number,
+	random: () => number = Math.random
+): number => {
+	const backoff = Math.min(policy.baseDelayMs * 2 ** (attempt - 1), policy.maxDelayMs);
+	const delay = policy.jitter ? backoff / 2 + random() * (backoff / 2) : backoff;
+	const floor = policy.respectRetryAfter && retryAfterMs !== undefined ? retryAfterMs : 0;
+	return Math.round(Math.max(delay, floor));
+};
+
+/**
+ * Sends the request, retrying 429/5xx responses per the policy.
+ * Every attempt is appended to attemptLog, including the final one; attempt
+ * numbers continue across calls that share a log (e.g. repair round-trips).
+ * A Retry-After hint longer than maxDelayMs, or a wait that would run past the
+ * deadline, ends the retries and returns the failed response as is.
+ */
+const fetchWithRetry = async (
+	provider: string,
+	url: string,
+	init: RequestInit,
+	policy: RetryPolicy,
+	attemptLog: AttemptRecord[],
+	deadline?: number
+): Promise<{ response: Response; responseText: string }> => {
+	for (let retryAttempt = 1; ; retryAttempt++) {
+		const attempt = attemptLog.length + 1;
+		const attemptStart = Date.now();
+
+		let response: Response;
+		let responseText: string;
+		try {
+			response = await fetch(url, init);
+			responseText = await response.text();
+		} catch (error) {
+			attemptLog.push({
+				attempt,
+				error: init.signal?.aborted ? TIMEOUT_ERROR : getErrorMessage(error),
+				latency: Date.now() - attemptStart
+			});
+			throw error;
+		}
+
+		const record = { attempt, status: response.status, latency: Date.now() - attemptStart };
+		if (response.ok || !isRetryableStatus(response.status) || retryAttempt >= policy.maxAttempts) {
+			attemptLog.push(record);
+			return { response, responseText };
+		}
+
+		const retryAfterMs = parseRetryAfter(response.headers.get('Retry-After'));
+		const delayMs = computeBackoffDelay(policy, retryAttempt, retryAfterMs);
+		if (delayMs > policy.maxDelayMs || (deadline !== undefined && Date.now() + delayMs >= deadline)) {
+			attemptLog.push(record);
+			logWarn(`${provider} returned ${response.status}, not retrying past the delay cap or deadline`, { attempt, delayMs, retryAfterMs });
+			return { response, responseText };
+		}
+		attemptLog.push({ ...record, delayMs });
+		logWarn(`${provider} returned ${response.status}, retrying`, { attempt, delayMs, retryAfterMs });
+
+		await sleep(delayMs, init.signal ?? undefined);
+	}
+};
+
+/**
+ * Follow-up turn asking a provider to correct output that failed to parse or
+ * violated the schema.
+ */
+const buildRepairPrompt = (parseResult: ParseResult, validationErrors: ValidationError[]): string => {
+	const problem = parseResult.success
+		? `did not satisfy the required JSON schema:\n${validationErrors.map((e) => `- ${e.pointer || '/'} ${e.message}`).join('\n')}`
+		: `was not valid JSON (${parseResult.error})`;
+
+	return `Your previous response ${problem}\n\nRespond again with only the corrected JSON that satisfies the schema.`;
+};
+
+const createLLMQueryFunction = (descriptor: ProviderDescriptor) => async (
+	prompt: Prompt,
+	schema: any,
+	apiKey: string,
+	options: QueryOptions = {}
+): Promise<LLMResponse> => {
+	const { name: provider, schemaDialect, buildBody, parseResponse } = descriptor;
+	const model = options.model ?? descriptor.model;
+	const { mapped: params, unsupported: unsupportedParams } = mapGenerationParams(options.params ?? {}, descriptor.paramNames);
+	const startTime = Date.now();
+	const controller = new AbortController();
+	const timer = options.timeoutMs !== undefined ? setTimeout(() => controller.abort(), options.timeoutMs) : undefined;
+	const cancel = () => controller.abort();
+	options.signal?.addEventListener('abort', cancel, { once: true });
+	if (options.signal?.aborted) controller.abort();
+	const maxRepairs = options.repairAttempts ?? 0;
+	const attemptLog: AttemptRecord[] = [];
+	const translation = translateSchema(schema, schemaDialect);
+	const price = findModelPrice(options.prices ?? DEFAULT_MODEL_PRICES, model);
+	let repairs = 0;
+	let usage: TokenUsage | undefined;
+	let completion: CompletionInfo | undefined;
+	const finish = (
+		result: Omit<
+			LLMResponse,
+			| 'target'
+			| 'model'
+			| 'attempts'
+			| 'attemptLog'
+			| 'repairs'
+			| 'schemaWarnings'
+			| 'unsupportedParams'
+			| 'usage'
+			| 'cost'
+			| keyof CompletionInfo
+		>
+	): LLMResponse => ({
+		...result,
+		...completion,
+		...(options.target !== undefined && { target: options.target }),
+		model,
+		attempts: attemptLog.length,
+		attemptLog,
+		...(maxRepairs > 0 && { repairs }),
+		...(translation.warnings.length > 0 && { schemaWarnings: translation.warnings }),
+		...(unsupportedParams.length > 0 && { unsupportedParams }),
+		...(usage && { usage }),
+		...(usage && price && { cost: estimateCost(usage, price) })
+	});
+
+	logInfo(`Querying ${provider}`, { query: promptText(prompt).substring(0, 100), model, timeoutMs: options.timeoutMs });
+
+	if (unsupportedParams.length > 0) {
+		logWarn(`${provider} does not support some generation parameters`, { unsupportedParams });
+	}
+
+	try {
+		const finalUrl = buildProviderUrl(descriptor, model, apiKey);
+		let messages: ChatMessage[] = prompt.messages;
+
+		for (; ; repairs++) {
+			const { response, responseText } = await fetchWithRetry(
+				provider,
+				finalUrl,
+				{
+					method: 'POST',
+					headers: buildProviderHeaders(descriptor, apiKey),
+					body: JSON.stringify(buildBody({ system: prompt.system, messages, schema: translation.schema, model, params })),
+					signal: controller.signal
+				},
+				options.retry ?? DEFAULT_RETRY_POLICY,
+				attemptLog,
+				options.timeoutMs !== undefined ? startTime + options.timeoutMs : undefined
+			);
+
+			const latency = Date.now() - startTime;
+
+			if (!response.ok) {
+				const errorMsg = `${provider} API error: ${response.status} ${response.statusText}`;
+				const providerError = parseProviderError(responseText);
+				logWarn(errorMsg, {
+					status: response.status,
+					attempts: attemptLog.length,
+					responsePreview: responseText.substring(0, 200)
+				});
+				return finish({
+					provider,
+					success: false,
+					error: errorMsg,
+					...describeFailure(classifyHttpError(response.status, providerError)),
+					status: response.status,
+					...(providerError && { providerError }),
+					latency
+				});
+			}
+
+			const jsonParseResult = safeJsonParse(responseText);
+			if (!jsonParseResult.success) {
+				logError(`${provider} JSON parse failed`, { error: jsonParseResult.error });
+				return finish({
+					provider,
+					success: false,
+					error: jsonParseResult.error,
+					...describeFailure('unparseable_output'),
+					latency
+				});
+			}
+
+			// Every round trip is billed, including ones that end up being repaired
+			usage = addUsage(usage, descriptor.parseUsage(jsonParseResult.value));
+
+			const parsed = parseResponse(jsonParseResult.value);
+			completion = parsed.completion;
+			const dataParseResult: ParseResult =
+				parsed.success && schemaDialect === 'openai-strict' ? { ...parsed, value: stripInjectedNulls(parsed.value, schema) } : parsed;
+			const validationErrors = dataParseResult.success ? validateAgainstSchema(dataParseResult.value, schema) : [];
+
+			if ((!dataParseResult.success || validationErrors.length > 0) && dataParseResult.raw !== undefined && repairs < maxRepairs) {
+				logWarn(`${provider} output needs repair`, {
+					repair: repairs + 1,
+					error: dataParseResult.success ? undefined : dataParseResult.error,
+					errors: validationErrors.slice(0, 10)
+				});
+				messages = [
+					...messages,
+					{ role: 'assistant', content: dataParseResult.raw },
+					{ role: 'user', content: buildRepairPrompt(dataParseResult, validationErrors) }
+				];
+				continue;
+			}
+
+			if (!dataParseResult.success) {
+				logError(`${provider} response parse failed`, { error: dataParseResult.error });
+				return finish({
+					provider,
+					success: false,
+					error: dataParseResult.error,
+					...describeFailure(dataParseResult.errorType ?? 'unparseable_output'),
+					latency
+				});
+			}
+
+			const schemaValid = validationErrors.length === 0;
+
+			if (!schemaValid) {
+				logWarn(`${provider} output violates schema`, { errors: validationErrors.slice(0, 10) });
+				if (options.rejectInvalid) {
+					return finish({
+						provider,
+						success: false,
+						data: dataParseResult.value,
+						error: `Schema validation failed: ${formatValidationErrors(validationErrors)}`,
+						...describeFailure('schema_violation'),
+						latency,
+						schemaValid,
+						validationErrors
+					});
+				}
+			}
+
+			logInfo(`${provider} query successful`, { latency, attempts: attemptLog.length, repairs, schemaValid });
+			return finish({
+				provider,
+				success: true,
+				data: dataParseResult.value,
+				latency,
+				schemaValid,
+				validationErrors
+			});
+		}
+	} catch (error) {
+		const latency = Date.now() - startTime;
+
+		if (options.signal?.aborted) {
+			logInfo(`${provider} query cancelled`, { latency });
+			return finish({
+				provider,
+				success: false,
+				error: CANCELLED_ERROR,
+				...describeFailure('cancelled'),
+				latency
+			});
+		}
+
+		if (controller.signal.aborted) {
+			logWarn(`${provider} query timed out`, { timeoutMs: options.timeoutMs, latency });
+			return finish({
+				provider,
+				success: false,
+				error: TIMEOUT_ERROR,
+				...describeFailure('timeout'),
+				latency
+			});
+		}
+
+		const errorMsg = getErrorMessage(error);
+		logError(`${provider} query failed`, { error: errorMsg, latency });
+		return finish({
+			provider,
+			success: false,
+			error: errorMsg,
+			...describeFailure('network'),
+			latency
+		});
+	} finally {
+		if (timer !== undefined) clearTimeout(timer);
+		options.signal?.removeEventListener('abort', cancel);
+	}
+};
+
+// ============================================================================
+// Consensus Aggregation (Pure Functions)
+// ============================================================================
+
+/**
+ * Flattens nested objects into JSON-pointer keyed leaves.
+ * Arrays and primitives are compared as whole values.
+ */
+const flattenToPointers = (value: any, pointer = ''): Record<string, any> => {
+	if (!isPlainObject(value) || Object.keys(value).length === 0) {
+		return { [pointer]: value };
+	}
+
+	return Object.entries(value).reduce<Record<string, any>>(
+		(acc, [key, child]) => ({
+			...acc,
+			...flattenToPointers(child, `${pointer}/${escapePointerSegment(key)}`)
+		}),
+		{}
+	);
+};
+
+const setAtPointer = (target: any, pointer: string, value: any): any => {
+	if (pointer === '') return value;
+
+	const segments = pointer.split('/').slice(1).map(unescapePointerSegment);
+	const root = isPlainObject(target) ? target : {};
+	segments.reduce((node, segment, index) => {
+		if (index === segments.length - 1) {
+			node[segment] = value;
+		} else if (!isPlainObject(node[segment])) {
+			node[segment] = {};
+		}
+		return node[segment];
+	}, root);
+	return root;
+};
+
+const toConfidencePointer = (confidenceField: string): string =>
+	confidenceField.startsWith('/') ? confidenceField : `/${escapePointerSegment(confidenceField)}`;
+
+const resolveConfidenceWeight = (data: any, confidenceField: string): number => {
+	const confidence = getAtPointer(data, toConfidencePointer(confidenceField));
+	return typeof confidence === 'number' && Number.isFinite(confidence)
+		? Math.min(Math.max(confidence, 0), 1)
+		: 1;
+};
+
+const computeFieldConsensus = (
+	votes: { provider: string; value: any; weight: number }[],
+	allProviders: string[],
+	totalWeight: number,
+	mode: AggregateMode
+): FieldConsensus => {
+	const buckets = votes.reduce<Map<string, { value: any; weight: number; providers: string[] }>>((acc, vote) => {
+		const key = canonicalize(vote.value);
+		const bucket = acc.get(key) ?? { value: vote.value, weight: 0, providers: [] };
+		acc.set(key, {
+			...bucket,
+			weight: bucket.weight + vote.weight,
+			providers: [...bucket.providers, vote.provider]
+		});
+		return acc;
+	}, new Map());
+
+	const winner = [...buckets.values()].reduce<{ value: any; weight: number; providers: string[] } | undefined>(
+		(best, bucket) => (!best || bucket.weight > best.weight ? bucket : best),
+		undefined
+	);
+
+	const agreement = winner && totalWeight > 0 ? winner.weight / totalWeight : 0;
+	const supporters = winner?.providers ?? [];
+
+	return {
+		value: winner?.value,
+		agreement,
+		agreed: mode === 'unanimous' ? supporters.length === allProviders.length && allProviders.length > 0 : agreement > 0.5,
+		supporters,
+		dissenters: allProviders.filter((provider) => !supporters.includes(provider))
+	};
+};
+
+/**
+ * Two answers agree when every field but the confidence field matches, using
+ * the same loose string comparison as field consensus.
+ */
+const agreementKey = (data: any, confidenceField = DEFAULT_CONFIDENCE_FIELD): string => {
+	const confidencePointer = toConfidencePointer(confidenceField);
+	return canonicalize(Object.fromEntries(Object.entries(flattenToPointers(data)).filter(([pointer]) => pointer !== confidencePointer)));
+};
+
+/**
+ * Compares successful responses field by field and picks a winning value per field.
+ * Providers that omit a field count as dissenters for it.
+ */
+const aggregateResponses = (responses: LLMResponse[], options: AggregateOptions): ConsensusResult => {
+	const successful = responses.filter((r) => r.success);
+	const providers = successful.map((r) => r.target ?? r.provider);
+	const confidenceField = options.confidenceField || DEFAULT_CONFIDENCE_FIELD;
+
+	const weights = successful.map((r) =>
+		options.mode === 'confidence-weighted' ? resolveConfidenceWeight(r.data, confidenceField) : 1
+	);
+	const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+	const flattened = successful.map((r) => flattenToPointers(r.data));
+	const pointers = [...new Set(flattened.flatMap((leaves) => Object.keys(leaves)))];
+
+	const fields = pointers.reduce<Record<string, FieldConsensus>>((acc, pointer) => {
+		const votes = successful
+			.map((r, index) => ({
+				provider: r.target ?? r.provider,
+				value: flattened[index][pointer],
+				weight: weights[index],
+				present: pointer in flattened[index]
+			}))
+			.filter((vote) => vote.present);
+		return { ...acc, [pointer]: computeFieldConsensus(votes, providers, totalWeight, options.mode) };
+	}, {});
+
+	const fieldList = Object.values(fields);
+	const value = Object.entries(fields).reduce<any>(
+		(acc, [pointer, field]) => (field.value === undefined ? acc : setAtPointer(acc, pointer, field.value)),
+		undefined
+	);
+
+	return {
+		mode: options.mode,
+		providers,
+		agreed: fieldList.length > 0 && fieldList.every((field) => field.agreed),
+		agreement: fieldList.length > 0 ? fieldList.reduce((sum, field) => sum + field.agreement, 0) / fieldList.length : 0,
+		value,
+		fields,
+		dissenters: [...new Set(fieldList.flatMap((field) => field.dissenters))]
+	};
+};
+
+// ============================================================================
+// Main Business Logic (Pure Functions)
+// ============================================================================
+
+const STRATEGY_PATTERN = /^quorum:(\d+)$/;
+
+const STREAM_STRATEGY_ERROR = 'stream only supports strategy: all';
+
+const parseStrategy = (value: unknown): Result<Strategy, string> => {
+	if (value === undefined || value === 'all' || value === 'race' || value === 'fallback') {
+		return { success: true, value: { mode: value ?? 'all' } };
+	}
+	const quorum = Number((typeof value === 'string' && STRATEGY_PATTERN.exec(value)?.[1]) || NaN);
+	if (Number.isInteger(quorum) && quorum >= 1 && quorum <= MAX_TARGETS) {
+		return { success: true, value: { mode: 'quorum', quorum } };
+	}
+	return { success: false, error: `Invalid strategy. Use one of: all, race, fallback, quorum:N (N from 1 to ${MAX_TARGETS})` };
+};
+
+const formatStrategy = (strategy: Strategy): string => (strategy.mode === 'quorum' ? `quorum:${strategy.quorum}` : strategy.mode);
+
+const validateRetryPolicy = (policy: any, label: string): string | undefined => {
+	if (policy === undefined) return undefined;
+	if (!isPlainObject(policy)) return `${label} must be an object`;
+
+	const { maxAttempts, baseDelayMs, maxDelayMs, jitter, respectRetryAfter } = policy;
+	if (maxAttempts !== undefined && (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > MAX_RETRY_ATTEMPTS)) {
+		return `${label}.maxAttempts must be an integer between 1 and ${MAX_RETRY_ATTEMPTS}`;
+	}
+	const invalidDelay = Object.entries({ baseDelayMs, maxDelayMs }).find(
+		([, value]) => value !== undefined && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)
+	);
+	if (invalidDelay) return `${label}.${invalidDelay[0]} must be a non-negative number`;
+	if (jitter !== undefined && typeof jitter !== 'boolean') return `${label}.jitter must be a boolean`;
+	if (respectRetryAfter !== undefined && typeof respectRetryAfter !== 'boolean') {
+		return `${label}.respectRetryAfter must be a boolean`;
+	}
+	return undefined;
+};
+
+const ENDPOINT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+const isHttpUrl = (value: unknown): boolean => {
+	if (typeof value !== 'string') return false;
+	try {
+		const { protocol } = new URL(value);
+		return protocol === 'https:' || protocol === 'http:';
+	} catch {
+		return false;
+	}
+};
+
+const validateEndpoints = (endpoints: any): string | undefined => {
+	if (endpoints === undefined) return undefined;
+	if (!Array.isArray(endpoints)) return 'endpoints must be an array';
+
+	const seen = new Set<string>();
+	for (const [index, endpoint] of endpoints.entries()) {
+		const label = `endpoints[${index}]`;
+		if (!isPlainObject(endpoint)) return `${label} must be an object`;
+		if (typeof endpoint.id !== 'string' || !ENDPOINT_ID_PATTERN.test(endpoint.id)) {
+			return `${label}.id must be 1-64 letters, digits, '-' or '_'`;
+		}
+		if (PROVIDER_REGISTRY.has(endpoint.id) || seen.has(endpoint.id)) {
+			return `${label}.id '${endpoint.id}' is already in use`;
+		}
+		if (!isHttpUrl(endpoint.baseUrl)) return `${label}.baseUrl must be an http(s) URL`;
+		if (typeof endpoint.model !== 'string' || endpoint.model.trim().length === 0) return `${label}.model is required`;
+		if (endpoint.name !== undefined && typeof endpoint.name !== 'string') return `${label}.name must be a string`;
+		if (endpoint.apiKey !== undefined && typeof endpoint.apiKey !== 'string') return `${label}.apiKey must be a string`;
+		if (
+			endpoint.headers !== undefined &&
+			(!isPlainObject(endpoint.headers) || !Object.values(endpoint.headers).every((value) => typeof value === 'string'))
+		) {
+			return `${label}.headers must be an object of strings`;
+		}
+		if (
+			endpoint.modalities !== undefined &&
+			(!Array.isArray(endpoint.modalities) || !endpoint.modalities.every((modality) => MODALITIES.includes(modality)))
+		) {
+			return `${label}.modalities must be an array of: ${MODALITIES.join(', ')}`;
+		}
+		seen.add(endpoint.id);
+	}
+	return undefined;
+};
+
+/** Ids a request may address in per-provider options: registered providers plus its own endpoints */
+const collectProviderIds = (requestData: any): Set<ProviderId> =>
+	new Set([
+		...PROVIDER_REGISTRY.keys(),
+		...(Array.isArray(requestData.endpoints) ? requestData.endpoints.map((endpoint: any) => endpoint?.id) : [])
+	]);
+
+const validateGenerationParams = (params: any, label: string): string | undefined => {
+	if (params === undefined) return undefined;
+	if (!isPlainObject(params)) return `${label} must be an object`;
+
+	const unknown = Object.keys(params).find((name) => !GENERATION_PARAM_NAMES.includes(name as keyof GenerationParams));
+	if (unknown) return `Unknown ${label} field: ${unknown}. Use: ${GENERATION_PARAM_NAMES.join(', ')}`;
+
+	const { temperature, maxTokens, topP, seed, stop } = params;
+	if (temperature !== undefined && (typeof temperature !== 'number' || temperature < 0 || temperature > 2)) {
+		return `${label}.temperature must be a number between 0 and 2`;
+	}
+	if (maxTokens !== undefined && (!Number.isInteger(maxTokens) || maxTokens < 1)) {
+		return `${label}.maxTokens must be a positive integer`;
+	}
+	if (topP !== undefined && (typeof topP !== 'number' || topP < 0 || topP > 1)) {
+		return `${label}.topP must be a number between 0 and 1`;
+	}
+	if (seed !== undefined && !Number.isInteger(seed)) {
+		return `${label}.seed must be an integer`;
+	}
+	if (stop !== undefined && (!Array.isArray(stop) || !stop.every((sequence: unknown) => typeof sequence === 'string'))) {
+		return `${label}.stop must be an array of strings`;
+	}
+	return undefined;
+};
+
+const CHAT_ROLES: readonly ChatMessage['role'][] = ['user', 'assistant'];
+
+const validateContentPart = (part: any, label: string, role: ChatMessage['role']): string | undefined => {
+	if (!isPlainObject(part)) return `${label} must be an object`;
+	if (part.type === 'text') {
+		return typeof part.text === 'string' && part.text.trim().length > 0 ? undefined : `${label}.text must be a non-empty string`;
+	}
+	if (part.type !== 'image' && part.type !== 'document') return `${label}.type must be one of: text, image, document`;
+	if (role !== 'user') return `${label}: ${part.type} parts are only allowed in user turns`;
+
+	const mediaTypes = part.type === 'image' ? IMAGE_MEDIA_TYPES : DOCUMENT_MEDIA_TYPES;
+	if ((part.data === undefined) === (part.url === undefined)) return `${label} must have exactly one of data or url`;
+	if (part.url !== undefined && !isHttpUrl(part.url)) return `${label}.url must be an http(s) URL`;
+	if (part.data !== undefined) {
+		if (typeof part.data !== 'string' || part.data.length === 0) return `${label}.data must be a base64 string`;
+		if (part.mediaType === undefined) return `${label}.mediaType is required with data`;
+	}
+	if (part.mediaType !== undefined && !mediaTypes.includes(part.mediaType)) {
+		return `${label}.mediaType must be one of: ${mediaTypes.join(', ')}`;
+	}
+	if (part.name !== undefined && (part.type !== 'document' || typeof part.name !== 'string')) {
+		return `${label}.name is only allowed as a string on document parts`;
+	}
+	return undefined;
+};
+
+/**
+ * Conversations must open with a user turn and, once `query` is appended,
+ * end with one; every vendor rejects or misreads anything else.
+ */
+const validateMessages = (messages: any, hasQuery: boolean): string | undefined => {
+	if (messages === undefined) return undefined;
+	if (!Array.isArray(messages) || messages.length === 0) return 'messages must be a non-empty array';
+
+	for (const [index, message] of messages.entries()) {
+		const label = `messages[${index}]`;
+		if (!isPlainObject(message)) return `${label} must be an object`;
+		if (!CHAT_ROLES.includes(message.role)) return `${label}.role must be one of: ${CHAT_ROLES.join(', ')}`;
+		if (Array.isArray(message.content)) {
+			if (message.content.length === 0) return `${label}.content must not be empty`;
+			for (const [partIndex, part] of message.content.entries()) {
+				const partError = validateContentPart(part, `${label}.content[${partIndex}]`, message.role);
+				if (partError) return partError;
+			}
+		} else if (typeof message.content !== 'string' || message.content.trim().length === 0) {
+			return `${label}.content must be a non-empty string or an array of content parts`;
+		}
+	}
+	if (messages[0].role !== 'user') return 'messages must start with a user turn';
+	if (!hasQuery && messages[messages.length - 1].role !== 'user') {
+		return 'messages must end with a user turn unless query is given';
+	}
+	return undefined;
+};
+
+const TARGET_ID_PATTERN = /^[a-z0-9][a-z0-9_.:\/-]{0,127}$/i;
+
+const validateTargets = (targets: any, providerIds: Set<ProviderId>): string | undefined => {
+	if (targets === undefined) return undefined;
+	if (!Array.isArray(targets) || targets.length === 0) return 'targets must be a non-empty array';
+	if (targets.length > MAX_TARGETS) return `targets cannot have more than ${MAX_TARGETS} entries`;
+
+	const seen = new Set<string>();
+	for (const [index, target] of targets.entries()) {
+		const label = `targets[${index}]`;
+		if (!isPlainObject(target)) return `${label} must be an object`;
+		if (!providerIds.has(target.provider)) return `${label}.provider must be one of: ${[...providerIds].join(', ')}`;
+		if (target.id !== undefined) {
+			if (typeof target.id !== 'string' || !TARGET_ID_PATTERN.test(target.id)) {
+				return `${label}.id must be 1-128 letters, digits, '-', '_', '.', ':' or '/'`;
+			}
+			if (seen.has(target.id)) return `${label}.id '${target.id}' is already in use`;
+			seen.add(target.id);
+		}
+		if (target.model !== undefined && (typeof target.model !== 'string' || target.model.trim().length === 0)) {
+			return `${label}.model must be a non-empty string`;
+		}
+		const paramsError = validateGenerationParams(target.params, `${label}.params`);
+		if (paramsError) return paramsError;
+	}
+	return undefined;
+};
+
+const validateRequest = (requestData: any): Result<QueryRequest, string> => {
+	if (!requestData || typeof requestData !== 'object') {
+		return { success: false, error: 'Invalid request body' };
+	}
+
+	if (requestData.query === undefined && requestData.messages === undefined) {
+		return { success: false, error: 'Missing required field: query (or messages)' };
+	}
+
+	if (requestData.query !== undefined) {
+		if (typeof requestData.query !== 'string') {
+			return { success: false, error: 'query must be a string' };
+		}
+		if (requestData.query.trim().length === 0) {
+			return { success: false, error: 'Query cannot be empty' };
+		}
+	}
+
+	if (requestData.system !== undefined && (typeof requestData.system !== 'string' || requestData.system.trim().length === 0)) {
+		return { success: false, error: 'system must be a non-empty string' };
+	}
+
+	if (requestData.schema !== undefined && !isPlainObject(requestData.schema)) {
+		return { success: false, error: 'schema must be a JSON Schema object' };
+	}
+
+	const messagesError = validateMessages(requestData.messages, requestData.query !== undefined);
+	if (messagesError) {
+		return { success: false, error: messagesError };
+	}
+
+	if (requestData.stream !== undefined && typeof requestData.stream !== 'boolean') {
+		return { success: false, error: 'stream must be a boolean' };
+	}
+
+	const endpointsError = validateEndpoints(requestData.endpoints);
+	if (endpointsError) {
+		return { success: false, error: endpointsError };
+	}
+
+	const providerIds = collectProviderIds(requestData);
+
+	if (requestData.timeoutMs !== undefined && !isPositiveNumber(requestData.timeoutMs)) {
+		return { success: false, error: 'timeoutMs must be a positive number' };
+	}
+
+	if (requestData.providerTimeouts !== undefined) {
+		if (!isPlainObject(requestData.providerTimeouts)) {
+			return { success: false, error: 'providerTimeouts must be an object' };
+		}
+		const invalid = Object.entries(requestData.providerTimeouts).find(
+			([provider, timeout]) => !providerIds.has(provider) || !isPositiveNumber(timeout)
+		);
+		if (invalid) {
+			return { success: false, error: `Invalid providerTimeouts entry: ${invalid[0]}` };
+		}
+	}
+
+	if (requestData.rejectInvalid !== undefined && typeof requestData.rejectInvalid !== 'boolean') {
+		return { success: false, error: 'rejectInvalid must be a boolean' };
+	}
+
+	if (
+		requestData.repairAttempts !== undefined &&
+		(!Number.isInteger(requestData.repairAttempts) || requestData.repairAttempts < 0 || requestData.repairAttempts > MAX_REPAIR_ATTEMPTS)
+	) {
+		return { success: false, error: `repairAttempts must be an integer between 0 and ${MAX_REPAIR_ATTEMPTS}` };
+	}
+
+	const retryError = validateRetryPolicy(requestData.retry, 'retry');
+	if (retryError) {
+		return { success: false, error: retryError };
+	}
+
+	if (requestData.providerRetry !== undefined) {
+		if (!isPlainObject(requestData.providerRetry)) {
+			return { success: false, error: 'providerRetry must be an object' };
+		}
+		for (const [provider, policy] of Object.entries(requestData.providerRetry)) {
+			if (!providerIds.has(provider)) {
+				return { success: false, error: `Invalid providerRetry entry: ${provider}` };
+			}
+			const providerRetryError = validateRetryPolicy(policy, `providerRetry.${provider}`);
+			if (providerRetryError) {
+				return { success: false, error: providerRetryError };
+			}
+		}
+	}
+
+	if (requestData.models !== undefined) {
+		if (!isPlainObject(requestData.models)) {
+			return { success: false, error: 'models must be an object' };
+		}
+		const invalid = Object.entries(requestData.models).find(
+			([provider, model]) => !providerIds.has(provider) || typeof model !== 'string' || model.trim().length === 0
+		);
+		if (invalid) {
+			return { success: false, error: `Invalid models entry: ${invalid[0]}` };
+		}
+	}
+
+	const paramsError = validateGenerationParams(requestData.params, 'params');
+	if (paramsError) {
+		return { success: false, error: paramsError };
+	}
+
+	const targetsError = validateTargets(requestData.targets, providerIds);
+	if (targetsError) {
+		return { success: false, error: targetsError };
+	}
+
+	if (requestData.aggregate !== undefined) {
+		if (!isPlainObject(requestData.aggregate) || !AGGREGATE_MODES.includes(requestData.aggregate.mode)) {
+			return { success: false, error: `Invalid aggregate.mode. Use one of: ${AGGREGATE_MODES.join(', ')}` };
+		}
+		if (requestData.aggregate.confidenceField !== undefined && typeof requestData.aggregate.confidenceField !== 'string') {
+			return { success: false, error: 'aggregate.confidenceField must be a string' };
+		}
+	}
+
+	if (requestData.cache !== undefined && !CACHE_MODES.includes(requestData.cache)) {
+		return { success: false, error: `Invalid cache mode. Use one of: ${CACHE_MODES.join(', ')}` };
+	}
+
+	if (
+		requestData.cacheTtlSeconds !== undefined &&
+		(!Number.isInteger(requestData.cacheTtlSeconds) || requestData.cacheTtlSeconds < MIN_CACHE_TTL_SECONDS)
+	) {
+		return { success: false, error: `cacheTtlSeconds must be an integer of at least ${MIN_CACHE_TTL_SECONDS}` };
+	}
+
+	const strategyResult = parseStrategy(requestData.strategy);
+	if (!strategyResult.success) {
+		return { success: false, error: strategyResult.error };
+	}
+	if (strategyResult.value.mode !== 'all' && requestData.stream === true) {
+		return { success: false, error: STREAM_STRATEGY_ERROR };
+	}
+
+	return { success: true, value: requestData as QueryRequest };
+};
+
+const readEnvString = (env: Env, key: string): string | undefined => {
+	const value = (env as unknown as Record<string, unknown>)[key];
+	return typeof value === 'string' && value.length > 0 ? value : undefined;
+};
+
+/** Prices from MODEL_PRICES override the defaults per model; malformed JSON is ignored */
+const resolvePriceTable = (env: Env): PriceTable => {
+	const raw = readEnvString(env, 'MODEL_PRICES');
+	if (!raw) return DEFAULT_MODEL_PRICES;
+
+	const parsed = safeJsonParse(raw);
+	const overrides = parsed.success && isPlainObject(parsed.value) ? parsed.value : undefined;
+	const valid =
+		overrides &&
+		Object.values(overrides).every(
+			(price: any) =>
+				isPlainObject(price) &&
+				typeof price.input === 'number' &&
+				typeof price.output === 'number' &&
+				(price.cachedInput === undefined || typeof price.cachedInput === 'number')
+		);
+	if (!valid) {
+		logWarn('Ignoring invalid MODEL_PRICES', {
+			error: parsed.success ? 'expected { model: { input, output, cachedInput? } }' : parsed.error
+		});
+		return DEFAULT_MODEL_PRICES;
+	}
+	return { ...DEFAULT_MODEL_PRICES, ...overrides };
+};
+
+/** Anonymous callers may only spend server-side keys when the deployment opts out of authentication */
+const mayUseEnvKey = (caller: Caller | undefined, env: Env, provider: ProviderId): boolean =>
+	caller
+		? caller.providers === '*' || caller.providers.includes(provider)
+		: readEnvString(env, 'ALLOW_ANONYMOUS_ENV_KEYS') === 'true';
+
+const resolveApiKeys = (requestData: QueryRequest, env: Env, caller?: Caller): Record<ProviderId, string | undefined> =>
+	Object.fromEntries(
+		listProviders().map((descriptor) => [
+			descriptor.id,
+			requestData.apiKeys?.[descriptor.id] ||
+				(descriptor.envKey && mayUseEnvKey(caller, env, descriptor.id) ? readEnvString(env, descriptor.envKey) : undefined)
+		])
+	);
+
+/** Providers that would need a server-side key the caller is not allowed to use */
+const findDeniedEnvProviders = (requestData: QueryRequest, env: Env, caller: Caller | undefined, providerIds: ProviderId[]) =>
+	[...new Set(providerIds)].filter((id) => {
+		const descriptor = PROVIDER_REGISTRY.get(id);
+		return (
+			descriptor?.envKey !== undefined &&
+			!requestData.apiKeys?.[id] &&
+			readEnvString(env, descriptor.envKey) !== undefined &&
+			!mayUseEnvKey(caller, env, id)
+		);
+	});
+
+/**
+ * A per-provider override wins over the global timeout, but can never extend
+ * past it: the global timeout is the deadline for the whole fan-out.
+ */
+const resolveTimeout = (requestData: QueryRequest, provider: ProviderId): number | undefined => {
+	const override = requestData.providerTimeouts?.[provider];
+	const global = requestData.timeoutMs;
+	if (override !== undefined && global !== undefined) return Math.min(override, global);
+	return override ?? global;
+};
+
+const resolveRetryPolicy = (requestData: QueryRequest, provider: ProviderId): RetryPolicy => ({
+	...DEFAULT_RETRY_POLICY,
+	...requestData.retry,
+	...requestData.providerRetry?.[provider]
+});
+
+const resolveQueryOptions = (requestData: QueryRequest, provider: ProviderId): QueryOptions => ({
+	timeoutMs: resolveTimeout(requestData, provider),
+	retry: resolveRetryPolicy(requestData, provider),
+	rejectInvalid: requestData.rejectInvalid === true,
+	repairAttempts: requestData.repairAttempts ?? 0,
+	model: requestData.models?.[provider],
+	params: requestData.params
+});
+
+/**
+ * Gives every target a unique id. Explicit ids are reserved first so a generated
+ * `provider:model` id never takes one; repeated generated ids get a `#n` suffix.
+ */
+const assignTargetIds = (targets: QueryTarget[]): (QueryTarget & { id: string })[] => {
+	const taken = new Set(targets.flatMap((target) => (target.id !== undefined ? [target.id] : [])));
+	return targets.map((target) => {
+		if (target.id !== undefined) return { ...target, id: target.id };
+		const base = target.model ? `${target.provider}:${target.model}` : target.provider;
+		let id = base;
+		for (let n = 2; taken.has(id); n++) id = `${base}#${n}`;
+		taken.add(id);
+		return { ...target, id };
+	});
+};
+
+/** Without explicit targets, every registered provider and endpoint is one target named after its id */
+const resolveTargets = (requestData: QueryRequest): (QueryTarget & { id: string })[] =>
+	requestData.targets
+		? assignTargetIds(requestData.targets)
+		: [...collectProviderIds(requestData)].map((id) => ({ id, provider: id }));
+
+/**
+ * Resolves each target to a descriptor, key and options. Registry providers
+ * without a key are skipped unless the caller named them in `targets`.
+ */
+const planProviderCalls = (requestData: QueryRequest, env: Env, caller?: Caller): ProviderCall[] => {
+	const apiKeys = resolveApiKeys(requestData, env, caller);
+	const endpoints = requestData.endpoints ?? [];
+	const prices = resolvePriceTable(env);
+
+	return resolveTargets(requestData).flatMap((target) => {
+		const endpoint = endpoints.find((candidate) => candidate.id === target.provider);
+		const descriptor = endpoint ? createCompatibleDescriptor(endpoint) : PROVIDER_REGISTRY.get(target.provider);
+		const apiKey = endpoint ? endpoint.apiKey ?? '' : apiKeys[target.provider];
+		if (!descriptor || (apiKey === undefined && !requestData.targets)) return [];
+
+		const base = resolveQueryOptions(requestData, target.provider);
+		const params = target.params ? { ...base.params, ...target.params } : base.params;
+		return [{ descriptor, apiKey, options: { ...base, target: target.id, prices, model: target.model ?? base.model, params } }];
+	});
+};
+
+/** Splits off calls whose provider cannot accept every image or document in the prompt */
+const partitionCallsByModality = (
+	calls: ProviderCall[],
+	modalities: Modality[]
+): { calls: ProviderCall[]; skipped: SkippedTarget[] } =>
+	calls.reduce<{ calls: ProviderCall[]; skipped: SkippedTarget[] }>(
+		(acc, call) => {
+			const unsupportedModalities = modalities.filter((modality) => !call.descriptor.capabilities.modalities.includes(modality));
+			if (unsupportedModalities.length === 0) return { ...acc, calls: [...acc.calls, call] };
+			return {
+				...acc,
+				skipped: [
+					...acc.skipped,
+					{
+						provider: call.descriptor.name,
+						target: call.options.target,
+						reason: `${call.descriptor.id} does not accept ${unsupportedModalities.join(', ')} input`,
+						unsupportedModalities
+					}
+				]
+			};
+		},
+		{ calls: [], skipped: [] }
+	);
+
+/** `query`, when given, is appended to `messages` as the final user turn */
+const buildPrompt = (requestData: QueryRequest): Prompt => ({
+	...(requestData.system !== undefined && { system: requestData.system }),
+	messages: [
+		...(requestData.messages ?? []),
+		...(requestData.query !== undefined ? [{ role: 'user' as const, content: requestData.query }] : [])
+	]
+});
+
+const buildLLMPromises = (prompt: Prompt, schema: any, calls: ProviderCall[], cache?: ResponseCacheContext): Promise<LLMResponse>[] =>
+	calls.map(async (call) => {
+		const { descriptor, apiKey, options } = call;
+		const label = { provider: descriptor.name, target: options.target, model: options.model ?? descriptor.model };
+		if (apiKey === undefined) {
+			return { ...label, success: false, error: `No API key configured for ${descriptor.id}`, ...describeFailure('auth'), latency: 0 };
+		}
+
+		const query = () => createLLMQueryFunction(descriptor)(prompt, schema, apiKey, options);
+		return cache ? queryThroughCache(cache, await buildCacheKey(call, prompt, schema), label, query) : query();
+	});
+
+const createCombinedResponse = (
+	query: string,
+	responses: LLMResponse[],
+	totalLatency: number,
+	aggregate?: AggregateOptions,
+	skipped: SkippedTarget[] = [],
+	strategy = 'all',
+	outcome: Omit<StrategyOutcome, 'responses'> = { cancelled: [] }
+): CombinedResponse => ({
+	query,
+	responses,
+	totalLatency,
+	timestamp: getCurrentTimestamp(),
+	providersQueried: responses.length,
+	...(aggregate && { consensus: aggregateResponses(responses, aggregate) }),
+	...(skipped.length > 0 && { skipped }),
+	...summarizeUsage(responses),
+	strategy,
+	...(outcome.selected && { selected: outcome.selected }),
+	...(outcome.cancelled.length > 0 && { cancelled: outcome.cancelled })
+});
+
+// ============================================================================
+// Authentication (Side Effects)
+// ============================================================================
+
+const readBearerToken = (request: Request): string | undefined =>
+	/^Bearer\s+(\S+)$/i.exec(request.headers.get('Authorization') ?? '')?.[1];
+
+const isClientToken = (value: any): value is ClientToken =>
+	isPlainObject(value) &&
+	typeof value.name === 'string' &&
+	(value.providers === '*' || (Array.isArray(value.providers) && value.providers.every((id: unknown) => typeof id === 'string'))) &&
+	(value.expiresAt === undefined || typeof value.expiresAt === 'string') &&
+	(value.limits === undefined ||
+		(isPlainObject(value.limits) &&
+			Object.entries(value.limits).every(([name, limit]) => LIMIT_NAMES.includes(name as keyof ClientLimits) && isPositiveNumber(limit))));
+
+/**
+ * Resolves the caller from the Authorization header. No header means an
+ * anonymous caller; a header that does not name a live token is an error.
+ */
+const authenticate = async (request: Request, env: Env): Promise<Result<Caller | undefined, string>> => {
+	if (!request.headers.has('Authorization')) return { success: true, value: undefined };
+
+	const token = readBearerToken(request);
+	if (token === undefined) return { success: false, error: 'Malformed Authorization header. Use: Bearer <token>' };
+	if (!env.AUTH_TOKENS) return { success: false, error: 'Token authentication is not configured on this deployment' };
+
+	const hash = await sha256Hex(token);
+	const raw = await env.AUTH_TOKENS.get(`${TOKEN_KEY_PREFIX}${hash}`);
+	const parsed = raw === null ? undefined : safeJsonParse(raw);
+	if (!parsed?.success || !isClientToken(parsed.value)) return { success: false, error: 'Invalid API token' };
+
+	const record = parsed.value;
+	if (record.disabled) return { success: false, error: 'API token has been revoked' };
+	if (record.expiresAt !== undefined && !(Date.parse(record.expiresAt) > Date.now())) {
+		return { success: false, error: 'API token has expired' };
+	}
+	return { success: true, value: { id: hash.slice(0, 16), name: record.name, providers: record.providers, limits: record.limits } };
+};
+
+/** 401 for anonymous callers, 403 for tokens scoped away from the providers */
+const describeEnvKeyDenial = (caller: Caller | undefined, denied: ProviderId[]): QueryError =>
+	caller
+		? {
+				status: 403,
+				message: `Token '${caller.name}' may not use server-side API keys for: ${denied.join(', ')}`,
+				details: { providers: denied }
+			}
+		: {
+				status: 401,
+				message:
+					`Authentication required to use server-side API keys for: ${denied.join(', ')}. ` +
+					'Send Authorization: Bearer <token> or include apiKeys.',
+				details: { providers: denied },
+				headers: { 'WWW-Authenticate': 'Bearer' }
+			};
+
+const createQueryErrorResponse = (error: QueryError): Response =>
+	createErrorResponse(error.status, error.message, error.details, error.headers);
+
+const createEnvKeyDeniedResponse = (caller: Caller | undefined, denied: ProviderId[]): Response =>
+	createQueryErrorResponse(describeEnvKeyDenial(caller, denied));
+
+// ============================================================================
+// Response Cache (Side Effects)
+// ============================================================================
+
+/** In-memory KeyValueStore for tests and local development; entries live as long as the isolate */
+const createMemoryStore = (now: () => number = Date.now): KeyValueStore => {
+	const entries = new Map<string, { value: string; expiresAt?: number }>();
+	return {
+		async get(key) {
+			const entry = entries.get(key);
+			if (!entry) return null;
+			if (entry.expiresAt !== undefined && entry.expiresAt <= now()) {
+				entries.delete(key);
+				return null;
+			}
+			return entry.value;
+		},
+		async put(key, value, options) {
+			entries.set(key, { value, expiresAt: options?.expirationTtl ? now() + options.expirationTtl * 1000 : undefined });
+		},
+		async delete(key) {
+			entries.delete(key);
+		}
+	};
+};
+
+const MEMORY_RESPONSE_CACHE = createMemoryStore();
+
+const resolveResponseStore = (env: Env): KeyValueStore | undefined =>
+	env.RESPONSE_CACHE ?? (readEnvString(env, 'CACHE_IN_MEMORY') === 'true' ? MEMORY_RESPONSE_CACHE : undefined);
+
+const resolveCacheTtl = (requestData: QueryRequest, env: Env): number => {
+	const configured = Number(readEnvString(env, 'CACHE_TTL_SECONDS'));
+	const envTtl = Number.isInteger(configured) && configured >= MIN_CACHE_TTL_SECONDS ? configured : DEFAULT_CACHE_TTL_SECONDS;
+	return requestData.cacheTtlSeconds ?? envTtl;
+};
+
+/**
+ * Hashes everything that can change a provider's answer, plus the credential
+ * that produced it. An entry is only served to a caller presenting the same key
+ * and endpoint headers, so a hit never stands in for a key nobody has checked.
+ */
+const buildCacheKey = async ({ descriptor, apiKey, options }: ProviderCall, prompt: Prompt, schema: any): Promise<string> =>
+	`response:${await sha256Hex(
+		canonicalize(
+			{
+				version: CACHE_KEY_VERSION,
+				credential: { apiKey, headers: descriptor.headers },
+				provider: descriptor.id,
+				url: descriptor.url,
+				model: options.model ?? descriptor.model,
+				prompt,
+				schema,
+				params: options.params,
+				rejectInvalid: options.rejectInvalid,
+				repairAttempts: options.repairAttempts
+			},
+			false
+		)
+	)}`;
+
+/** Entries older than the request's TTL are misses even if the store still holds them */
+const readCachedResponse = async (store: KeyValueStore, key: string, ttlSeconds: number): Promise<LLMResponse | undefined> => {
+	try {
+		const raw = await store.get(key);
+		if (raw === null) return undefined;
+		const parsed = safeJsonParse<CacheEntry>(raw);
+		if (!parsed.success) return undefined;
+
+		const cacheAge = Math.floor((Date.now() - parsed.value.storedAt) / 1000);
+		return cacheAge <= ttlSeconds ? { ...parsed.value.response, cached: true, cacheAge } : undefined;
+	} catch (error) {
+		logWarn('Cache read failed', { error: getErrorMessage(error) });
+		return undefined;
+	}
+};
+
+const writeCachedResponse = async (store: KeyValueStore, key: string, response: LLMResponse, ttlSeconds: number): Promise<void> => {
+	const entry: CacheEntry = { response, storedAt: Date.now() };
+	try {
+		await store.put(key, JSON.stringify(entry), { expirationTtl: ttlSeconds });
+	} catch (error) {
+		logWarn('Cache write failed', { error: getErrorMessage(error) });
+	}
+};
+
+/** Only successful responses are stored; failures are always retried against the provider */
+const queryThroughCache = async (
+	cache: ResponseCacheContext,
+	key: string,
+	miss: Omit<LLMResponse, 'success' | 'latency'>,
+	query: () => Promise<LLMResponse>
+): Promise<LLMResponse> => {
+	if (cache.mode === 'default' || cache.mode === 'only') {
+		const stored = await readCachedResponse(cache.store, key, cache.ttlSeconds);
+		if (stored) {
+			// One entry can answer several targets, so the label comes from this call rather than the one that stored it
+			const { target: _storedTarget, ...hit } = stored;
+			logInfo(`${hit.provider} served from cache`, { target: miss.target, cacheAge: hit.cacheAge });
+			return { ...hit, ...(miss.target !== undefined && { target: miss.target }) };
+		}
+		if (cache.mode === 'only') {
+			return { ...miss, success: false, error: CACHE_MISS_ERROR, ...describeFailure('cache_miss'), latency: 0, cached: false };
+		}
+	}
+
+	const response = await query();
+	if (response.success) {
+		cache.defer(writeCachedResponse(cache.store, key, response, cache.ttlSeconds));
+	}
+	return { ...response, cached: false };
+};
+
+// ============================================================================
+// Rate Limiting and Quotas (Side Effects)
+// ============================================================================
+
+const readEnvPositiveNumber = (env: Env, key: string): number | undefined => {
+	const value = Number(readEnvString(env, key));
+	return isPositiveNumber(value) ? value : undefined;
+};
+
+/** Deployment-wide defaults from the environment, overridden per token */
+const resolveClientLimits = (caller: Caller | undefined, env: Env): ClientLimits => ({
+	requestsPerMinute: readEnvPositiveNumber(env, 'RATE_LIMIT_PER_MINUTE'),
+	tokensPerDay: readEnvPositiveNumber(env, 'DAILY_TOKEN_QUOTA'),
+	costPerDay: readEnvPositiveNumber(env, 'DAILY_COST_QUOTA_USD'),
+	...caller?.limits
+});
+
+/** Token holders are counted per token, everyone else per client IP */
+const resolveClientKey = (request: Request, caller: Caller | undefined): string =>
+	caller ? `token:${caller.id}` : `ip:${request.headers.get('CF-Connecting-IP') ?? 'unknown'}`;
+
+const MEMORY_RATE_LIMITS = createMemoryStore();
+
+const quotaKey = (clientKey: string, now: number): string => `quota:${clientKey}:${new Date(now).toISOString().slice(0, 10)}`;
+
+const hasDailyQuota = (limits: ClientLimits): boolean => limits.tokensPerDay !== undefined || limits.costPerDay !== undefined;
+
+/**
+ * Memory counters are per isolate, so a deployment with many isolates does not
+ * really cap anyone. That is fine for local development but not in production,
+ * so configured limits without the KV binding are logged on every request.
+ */
+const resolveLimitStore = (env: Env, limits: ClientLimits): KeyValueStore => {
+	if (env.RATE_LIMITS) return env.RATE_LIMITS;
+	if (limits.requestsPerMinute !== undefined || hasDailyQuota(limits)) {
+		logWarn('Rate limits and quotas are configured without a RATE_LIMITS binding; counting them per isolate only', { limits });
+	}
+	return MEMORY_RATE_LIMITS;
+};
+
+const readQuotaUsage = async (store: KeyValueStore, key: string): Promise<QuotaUsage> => {
+	const raw = await store.get(key);
+	const parsed = raw === null ? undefined : safeJsonParse<QuotaUsage>(raw);
+	return parsed?.success && isPlainObject(parsed.value) ? parsed.value : { tokens: 0, cost: 0 };
+};
+
+/**
+ * Checks the daily quota and the per-minute rate before any provider is queried,
+ * and counts the request against the rate window when it is allowed. KV counters
+ * are eventually consistent, so concurrent bursts can briefly overshoot a limit.
+ */
+const checkClientLimits = async (store: KeyValueStore, clientKey: string, limits: ClientLimits, now: number): Promise<LimitDecision> => {
+	const headers: Record<string, string> = {};
+
+	if (hasDailyQuota(limits)) {
+		const used = await readQuotaUsage(store, quotaKey(clientKey, now));
+		const untilMidnight = Math.ceil((DAY_MS - (now % DAY_MS)) / 1000);
+		if (limits.tokensPerDay !== undefined) {
+			headers['X-Quota-Tokens-Remaining'] = String(Math.max(limits.tokensPerDay - used.tokens, 0));
+		}
+		if (limits.costPerDay !== undefined) {
+			headers['X-Quota-Cost-Remaining'] = String(roundUsd(Math.max(limits.costPerDay - used.cost, 0)));
+		}
+		headers['X-Quota-Reset'] = String(untilMidnight);
+
+		const exhausted =
+			(limits.tokensPerDay !== undefined && used.tokens >= limits.tokensPerDay) ||
+			(limits.costPerDay !== undefined && used.cost >= limits.costPerDay);
+		if (exhausted) {
+			return { allowed: false, error: 'Daily quota exhausted', headers: { ...headers, 'Retry-After': String(untilMidnight) } };
+		}
+	}
+
+	if (limits.requestsPerMinute !== undefined) {
+		const window = Math.floor(now / RATE_WINDOW_MS);
+		const key = `rate:${clientKey}:${window}`;
+		const count = Number(await store.get(key)) || 0;
+		const untilReset = Math.ceil(((window + 1) * RATE_WINDOW_MS - now) / 1000);
+		headers['X-RateLimit-Limit'] = String(limits.requestsPerMinute);
+		headers['X-RateLimit-Reset'] = String(untilReset);
+
+		if (count >= limits.requestsPerMinute) {
+			headers['X-RateLimit-Remaining'] = '0';
+			return { allowed: false, error: 'Rate limit exceeded', headers: { ...headers, 'Retry-After': String(untilReset) } };
+		}
+		headers['X-RateLimit-Remaining'] = String(Math.max(limits.requestsPerMinute - count - 1, 0));
+		await store.put(key, String(count + 1), { expirationTtl: 2 * (RATE_WINDOW_MS / 1000) });
+	}
+
+	return { allowed: true, headers };
+};
+
+/** Adds a finished fan-out's fresh token usage and cost to the caller's daily total */
+const recordQuotaUsage = async (store: KeyValueStore, clientKey: string, responses: LLMResponse[], now: number): Promise<void> => {
+	const { usage, cost } = summarizeUsage(responses);
+	if (!usage) return;
+
+	const key = quotaKey(clientKey, now);
+	const used = await readQuotaUsage(store, key);
+	const updated: QuotaUsage = {
+		tokens: used.tokens + usage.inputTokens + usage.outputTokens,
+		cost: roundUsd(used.cost + (cost?.total ?? 0))
+	};
+	await store.put(key, JSON.stringify(updated), { expirationTtl: (2 * DAY_MS) / 1000 });
+};
+
+// ============================================================================
+// Execution Strategies (Side Effects)
+// ============================================================================
+
+/** Only a schema-valid success can win a race, end a fallback chain or count towards a quorum */
+const isUsableResponse = (response: LLMResponse): boolean => response.success && response.schemaValid !== false;
+
+const responseLabel = (response: LLMResponse): string => response.target ?? response.provider;
+
+/**
+ * Starts every call at once and aborts the stragglers as soon as `pick`
+ * names the responses it settles on. Responses keep call order; cancelled
+ * calls are listed by target instead.
+ */
+const runUntilPicked = async (
+	calls: ProviderCall[],
+	run: (calls: ProviderCall[]) => Promise<LLMResponse>[],
+	pick: (finished: LLMResponse[]) => string[] | undefined
+): Promise<StrategyOutcome> => {
+	const controller = new AbortController();
+	const finished: LLMResponse[] = [];
+	let selected: string[] | undefined;
+
+	const settled = await Promise.all(
+		run(calls.map((call) => ({ ...call, options: { ...call.options, signal: controller.signal } }))).map((promise) =>
+			promise.then((response) => {
+				if (selected === undefined && response.errorType !== 'cancelled') {
+					finished.push(response);
+					selected = pick(finished);
+					if (selected) controller.abort();
+				}
+				return response;
+			})
+		)
+	);
+
+	const cancelled = settled.filter((response) => response.errorType === 'cancelled');
+	return {
+		responses: settled.filter((response) => response.errorType !== 'cancelled'),
+		...(selected && { selected }),
+		cancelled: cancelled.map(responseLabel)
+	};
+};
+
+/** One call at a time; providers after the first usable answer are never started */
+const runFallback = async (calls: ProviderCall[], run: (calls: ProviderCall[]) => Promise<LLMResponse>[]): Promise<StrategyOutcome> => {
+	const responses: LLMResponse[] = [];
+	for (const [index, call] of calls.entries()) {
+		const [response] = await Promise.all(run([call]));
+		responses.push(response);
+		if (isUsableResponse(response)) {
+			return {
+				responses,
+				selected: [responseLabel(response)],
+				cancelled: calls.slice(index + 1).map(({ descriptor, options }) => options.target ?? descriptor.id)
+			};
+		}
+	}
+	return { responses, cancelled: [] };
+};
+
+const runStrategy = async (
+	strategy: Strategy,
+	calls: ProviderCall[],
+	run: (calls: ProviderCall[]) => Promise<LLMResponse>[],
+	confidenceField?: string
+): Promise<StrategyOutcome> => {
+	switch (strategy.mode) {
+		case 'race':
+			return runUntilPicked(calls, run, (finished) => {
+				const winner = finished.find(isUsableResponse);
+				return winner && [responseLabel(winner)];
+			});
+		case 'quorum':
+			return runUntilPicked(calls, run, (finished) => {
+				const groups = finished.filter(isUsableResponse).reduce<Map<string, string[]>>((acc, response) => {
+					const key = agreementKey(response.data, confidenceField);
+					return acc.set(key, [...(acc.get(key) ?? []), responseLabel(response)]);
+				}, new Map());
+				return [...groups.values()].find((labels) => labels.length >= strategy.quorum);
+			});
+		case 'fallback':
+			return runFallback(calls, run);
+		default:
+			return { responses: await Promise.all(run(calls)), cancelled: [] };
+	}
+};
+
+// ============================================================================
+// Query Execution (Side Effects)
+// ============================================================================
+
+/**
+ * Validates a request body and plans its provider calls. Shared by single
+ * queries and batch items so both fail the same way for the same input.
+ */
+const prepareQuery = (
+	requestData: unknown,
+	env: Env,
+	caller: Caller | undefined,
+	ctx: ExecutionContext
+): Result<PreparedQuery, QueryError> => {
+	const validationResult = validateRequest(requestData);
+	if (!validationResult.success) {
+		return { success: false, error: { status: 400, message: validationResult.error } };
+	}
+
+	const queryRequest = validationResult.value;
+	const prompt = buildPrompt(queryRequest);
+	const planned = planProviderCalls(queryRequest, env, caller);
+	const { calls, skipped } = partitionCallsByModality(planned, requiredModalities(prompt));
+
+	// Named targets must not silently lose their key; an implicit fan-out only fails when nothing is left
+	const needsEnvKeys =
+		queryRequest.targets?.map((target) => target.provider) ?? (planned.length === 0 ? [...PROVIDER_REGISTRY.keys()] : []);
+	const denied = findDeniedEnvProviders(queryRequest, env, caller, needsEnvKeys);
+	if (denied.length > 0) {
+		return { success: false, error: describeEnvKeyDenial(caller, denied) };
+	}
+
+	if (skipped.length > 0) {
+		logWarn('Skipping providers that cannot accept the request inputs', { skipped });
+	}
+
+	if (planned.length === 0) {
+		return {
+			success: false,
+			error: {
+				status: 400,
+				message: 'No API keys provided. Include apiKeys or endpoints in request body or configure environment variables.'
+			}
+		};
+	}
+
+	if (calls.length === 0) {
+		return {
+			success: false,
+			error: { status: 400, message: 'No configured provider accepts the images or documents in this request', details: { skipped } }
+		};
+	}
+
+	const parsedStrategy = parseStrategy(queryRequest.strategy);
+	const strategy: Strategy = parsedStrategy.success ? parsedStrategy.value : { mode: 'all' };
+	if (strategy.mode === 'quorum' && strategy.quorum > calls.length) {
+		return {
+			success: false,
+			error: {
+				status: 400,
+				message: `${formatStrategy(strategy)} can never be reached: only ${calls.length} provider call(s) are planned`,
+				details: { targets: calls.map(({ descriptor, options }) => options.target ?? descriptor.id) }
+			}
+		};
+	}
+
+	const cacheMode = queryRequest.cache ?? 'default';
+	const cacheStore = resolveResponseStore(env);
+	if (cacheMode === 'only' && !cacheStore) {
+		return { success: false, error: { status: 400, message: 'cache: only requires a configured response cache' } };
+	}
+	const cache: ResponseCacheContext | undefined =
+		cacheStore && cacheMode !== 'bypass'
+			? {
+					store: cacheStore,
+					mode: cacheMode,
+					ttlSeconds: resolveCacheTtl(queryRequest, env),
+					defer: (promise) => ctx.waitUntil(promise)
+				}
+			: undefined;
+
+	return {
+		success: true,
+		value: {
+			request: queryRequest,
+			prompt,
+			schema: queryRequest.schema || DEFAULT_SCHEMA,
+			calls,
+			skipped,
+			cache,
+			strategy
+		}
+	};
+};
+
+/**
+ * Gives each call only the time left before the request's deadline when it
+ * starts, so calls made one after another (a fallback chain) share one budget.
+ */
+const withinDeadline = (calls: ProviderCall[], deadline: number | undefined): ProviderCall[] =>
+	deadline === undefined
+		? calls
+		: calls.map((call) => {
+				const remaining = Math.max(deadline - Date.now(), 0);
+				return { ...call, options: { ...call.options, timeoutMs: Math.min(call.options.timeoutMs ?? remaining, remaining) } };
+			});
+
+/** Runs the planned calls through buildLLMPromises as the strategy directs and combines the answers */
+const executeQuery = async (prepared: PreparedQuery, startTime = Date.now()): Promise<CombinedResponse> => {
+	const { request, prompt, schema, calls, skipped, cache, strategy } = prepared;
+	const deadline = request.timeoutMs !== undefined ? startTime + request.timeoutMs : undefined;
+	const run = (selectedCalls: ProviderCall[]) => buildLLMPromises(prompt, schema, withinDeadline(selectedCalls, deadline), cache);
+	const { responses, ...outcome } = await runStrategy(strategy, calls, run, request.aggregate?.confidenceField);
+	return createCombinedResponse(
+		promptText(prompt),
+		responses,
+		Date.now() - startTime,
+		request.aggregate,
+		skipped,
+		formatStrategy(strategy),
+		outcome
+	);
+};
+
+/** Records fresh usage after the response is sent; a failure only costs accuracy */
+const deferQuotaUsage = (
+	ctx: ExecutionContext,
+	store: KeyValueStore,
+	clientKey: string,
+	limits: ClientLimits,
+	responses: Promise<LLMResponse[]>
+): void => {
+	if (!hasDailyQuota(limits)) return;
+	ctx.waitUntil(
+		responses
+			.then((settled) => recordQuotaUsage(store, clientKey, settled, Date.now()))
+			.catch((error) => logWarn('Failed to record quota usage', { client: clientKey, error: getErrorMessage(error) }))
+	);
+};
+
+// ============================================================================
+// Batches (Side Effects)
+// ============================================================================
+
+const validateBatchRequest = (body: any): Result<BatchRequest, string> => {
+	if (!isPlainObject(body)) {
+		return { success: false, error: 'Invalid request body' };
+	}
+	if (!Array.isArray(body.queries) || body.queries.length === 0) {
+		return { success: false, error: 'queries must be a non-empty array' };
+	}
+	if (body.queries.length > MAX_BATCH_QUERIES) {
+		return { success: false, error: `A batch may contain at most ${MAX_BATCH_QUERIES} queries` };
+	}
+	if (body.defaults !== undefined && !isPlainObject(body.defaults)) {
+		return { success: false, error: 'defaults must be an object' };
+	}
+	if (
+		body.concurrency !== undefined &&
+		!(Number.isInteger(body.concurrency) && body.concurrency >= 1 && body.concurrency <= MAX_BATCH_CONCURRENCY)
+	) {
+		return { success: false, error: `concurrency must be an integer between 1 and ${MAX_BATCH_CONCURRENCY}` };
+	}
+	if (body.stream !== undefined && typeof body.stream !== 'boolean') {
+		return { success: false, error: 'stream must be a boolean' };
+	}
+	return { success: true, value: body as BatchRequest };
+};
+
+/** Per-item streaming would interleave SSE inside the batch stream, so items are always buffered */
+const mergeBatchItem = (item: unknown, defaults: Record<string, unknown> | undefined): unknown =>
+	isPlainObject(item) ? { ...defaults, ...item, stream: undefined } : item;
+
+/** Never rejects: one bad item becomes a failed result instead of failing the batch */
+const runBatchItem = async (
+	item: unknown,
+	index: number,
+	batch: BatchRequest,
+	env: Env,
+	caller: Caller | undefined,
+	ctx: ExecutionContext
+): Promise<BatchItemResult> => {
+	if (isPlainObject(item) && item.stream === true) {
+		return { index, success: false, status: 400, error: 'stream is not supported inside a batch; set it on the batch instead' };
+	}
+
+	const prepared = prepareQuery(mergeBatchItem(item, batch.defaults), env, caller, ctx);
+	if (!prepared.success) {
+		const { status, message, details } = prepared.error;
+		return { index, success: false, status, error: message, ...(details && { details }) };
+	}
+
+	try {
+		return { index, success: true, result: await executeQuery(prepared.value) };
+	} catch (error) {
+		logError('Batch item failed', { index, error: getErrorMessage(error) });
+		return { index, success: false, status: 500, error: 'Failed to query LLMs', details: { error: getErrorMessage(error) } };
+	}
+};
+
+const rejectBatchItem = (
+	index: number,
+	decision: Extract<LimitDecision, { allowed: false }>,
+	clientKey: string,
+	limits: ClientLimits
+): BatchItemResult => ({
+	index,
+	success: false,
+	status: 429,
+	error: decision.error,
+	details: { client: clientKey, limits, retryAfter: Number(decision.headers['Retry-After']) }
+});
+
+const batchResponses = (results: BatchItemResult[]): LLMResponse[] =>
+	results.flatMap((result) => (result.success ? result.result.responses : []));
+
+const summarizeBatch = (results: BatchItemResult[], totalLatency: number): BatchResponse => {
+	const succeeded = results.filter((result) => result.success).length;
+	return {
+		results,
+		succeeded,
+		failed: results.length - succeeded,
+		totalLatency,
+		timestamp: getCurrentTimestamp(),
+		...summarizeUsage(batchResponses(results))
+	};
+};
+
+const wantsNdjson = (request: Request, batch: BatchRequest): boolean =>
+	batch.stream === true || (request.headers.get('Accept') ?? '').includes('application/x-ndjson');
+
+/**
+ * Writes one line per item as it completes, in completion order, then a
+ * summary line (the batch response without `results`).
+ */
+const createNdjsonBatchResponse = (
+	run: (onResult: (result: BatchItemResult) => Promise<void>) => Promise<BatchItemResult[]>,
+	startTime: number,
+	ctx: ExecutionContext,
+	headers: Record<string, string> = {}
+): Response => {
+	const { readable, writable } = new TransformStream<Uint8Array, Uint8Array>();
+	const writer = writable.getWriter();
+	const encoder = new TextEncoder();
+	const send = (data: unknown) => writer.write(encoder.encode(`${JSON.stringify(data)}\n`));
+
+	const pump = async (): Promise<void> => {
+		try {
+			const results = await run((result) => send({ type: 'result', ...result }));
+			const { results: _, ...summary } = summarizeBatch(results, Date.now() - startTime);
+			await send({ type: 'summary', ...summary });
+			logInfo('Batch stream completed', { queries: results.length, failed: summary.failed, totalLatency: summary.totalLatency });
+		} catch (error) {
+			const errorMsg = getErrorMessage(error);
+			logError('Batch stream failed', { error: errorMsg });
+			await send({ type: 'error', error: errorMsg, timestamp: getCurrentTimestamp() }).catch(() => undefined);
+		} finally {
+			await writer.close().catch(() => undefined);
+		}
+	};
+
+	ctx.waitUntil(pump());
+
+	return new Response(readable, {
+		status: 200,
+		headers: {
+			'Content-Type': 'application/x-ndjson',
+			'Cache-Control': 'no-cache',
+			...headers
+		}
+	});
+};
+
+// ============================================================================
+// Jobs (Side Effects)
+// ============================================================================
+
+const MEMORY_JOBS = createMemoryStore();
+
+const resolveJobStore = (env: Env): KeyValueStore => env.JOBS ?? MEMORY_JOBS;
+
+const resolveJobTtl = (env: Env): number => {
+	const configured = Number(readEnvString(env, 'JOB_TTL_SECONDS'));
+	return Number.isInteger(configured) && configured >= MIN_CACHE_TTL_SECONDS ? configured : DEFAULT_JOB_TTL_SECONDS;
+};
+
+const readJob = async (store: KeyValueStore, id: string): Promise<Job | undefined> => {
+	const raw = await store.get(`${JOB_KEY_PREFIX}${id}`);
+	const parsed = raw === null ? undefined : safeJsonParse<Job>(raw);
+	return parsed?.success && isPlainObject(parsed.value) ? parsed.value : undefined;
+};
+
+const writeJob = (store: KeyValueStore, job: Job, ttlSeconds: number): Promise<void> =>
+	store.put(`${JOB_KEY_PREFIX}${job.id}`, JSON.stringify(job), { expirationTtl: ttlSeconds });
 
-const parseOpenAIResponse = (data: any): Result<any, string> => {
+const validateCallbackUrl = (value: unknown): string | undefined => {
+	if (typeof value !== 'string') return 'callbackUrl must be a string';
 	try {
-		const content = data?.choices?.[0]?.message?.content;
-		if (!content) {
-			return { success: false, error: 'No content in OpenAI response' };
-		}
-		return safeJsonParse(content);
-	} catch (error) {
-		return { success: false, error: `OpenAI parse error: ${error}` };
+		const url = new URL(value);
+		return url.protocol === 'https:' || url.protocol === 'http:' ? undefined : 'callbackUrl must be an http(s) URL';
+	} catch {
+		return 'callbackUrl must be an absolute URL';
 	}
 };
 
-const parseClaudeResponse = (data: any): Result<any, string> => {
-	try {
-		const toolUse = data?.content?.find((block: any) => block.type === 'tool_use');
-		if (!toolUse?.input) {
-			return { success: false, error: 'No tool_use in Claude response' };
-		}
-		return { success: true, value: toolUse.input };
-	} catch (error) {
-		return { success: false, error: `Claude parse error: ${error}` };
-	}
+/**
+ * Signs `<timestamp>.<body>` so a receiver can check both origin and freshness
+ * and reject replays of an old delivery.
+ */
+const buildCallbackHeaders = async (secret: string, job: Job, body: string, now = Date.now()): Promise<Record<string, string>> => {
+	const timestamp = String(Math.floor(now / 1000));
+	return {
+		'Content-Type': 'application/json',
+		'X-Job-Id': job.id,
+		'X-Webhook-Timestamp': timestamp,
+		'X-Webhook-Signature': `sha256=${await hmacSha256Hex(secret, `${timestamp}.${body}`)}`
+	};
 };
 
-const parseGeminiResponse = (data: any): Result<any, string> => {
+/** Posts the finished job; a 429 or 5xx is retried, anything else is final */
+const deliverCallback = async (url: string, job: Job, secret: string): Promise<CallbackDelivery> => {
+	const body = JSON.stringify(job);
+	const attemptLog: AttemptRecord[] = [];
+	const controller = new AbortController();
+	const timer = setTimeout(() => controller.abort(), CALLBACK_TIMEOUT_MS);
 	try {
-		const content = data?.candidates?.[0]?.content?.parts?.[0]?.text;
-		if (!content) {
-			return { success: false, error: 'No content in Gemini response' };
-		}
-		return safeJsonParse(content);
+		const { response } = await fetchWithRetry(
+			'Job callback',
+			url,
+			{ method: 'POST', headers: await buildCallbackHeaders(secret, job, body), body, signal: controller.signal },
+			CALLBACK_RETRY_POLICY,
+			attemptLog
+		);
+		if (!response.ok) logWarn('Job callback rejected', { id: job.id, status: response.status });
+		return { url, delivered: response.ok, attempts: attemptLog.length, status: response.status };
 	} catch (error) {
-		return { success: false, error: `Gemini parse error: ${error}` };
+		const errorMsg = controller.signal.aborted ? TIMEOUT_ERROR : getErrorMessage(error);
+		logWarn('Job callback failed', { id: job.id, error: errorMsg });
+		return { url, delivered: false, attempts: attemptLog.length, error: errorMsg };
+	} finally {
+		clearTimeout(timer);
 	}
 };
 
-const parseGrokResponse = (data: any): Result<any, string> => {
+const withJobDeadline = (prepared: PreparedQuery): PreparedQuery => ({
+	...prepared,
+	request: { ...prepared.request, timeoutMs: Math.min(prepared.request.timeoutMs ?? MAX_JOB_TIMEOUT_MS, MAX_JOB_TIMEOUT_MS) }
+});
+
+/**
+ * Runs a queued job to completion, storing each status change so polling
+ * sees progress, then delivers the callback and stores its outcome too.
+ */
+const runJob = async (
+	store: KeyValueStore,
+	ttlSeconds: number,
+	queued: Job,
+	prepared: PreparedQuery,
+	callback?: { url: string; secret: string }
+): Promise<Job> => {
+	const update = async (job: Job, changes: Partial<Job>): Promise<Job> => {
+		const updated = { ...job, ...changes, updatedAt: getCurrentTimestamp() };
+		await writeJob(store, updated, ttlSeconds);
+		return updated;
+	};
+
+	let job = await update(queued, { status: 'running' });
 	try {
-		const content = data?.choices?.[0]?.message?.content;
-		if (!content) {
-			return { success: false, error: 'No content in Grok response' };
-		}
-		return safeJsonParse(content);
+		job = await update(job, { status: 'succeeded', result: await executeQuery(prepared) });
 	} catch (error) {
-		return { success: false, error: `Grok parse error: ${error}` };
+		logError('Job failed', { id: job.id, error: getErrorMessage(error) });
+		job = await update(job, {
+			status: 'failed',
+			error: { status: 500, message: 'Failed to query LLMs', details: { error: getErrorMessage(error) } }
+		});
 	}
+	logInfo('Job finished', { id: job.id, status: job.status });
+
+	return callback ? update(job, { callback: await deliverCallback(callback.url, job, callback.secret) }) : job;
 };
 
 // ============================================================================
-// LLM Query Functions (Side Effects)
+// Health Probes (Side Effects)
 // ============================================================================
 
-const createLLMQueryFunction = (
-	provider: string,
-	url: string,
-	buildHeaders: (apiKey: string) => Record<string, string>,
-	buildBody: (query: string, schema: any) => any,
-	parseResponse: (data: any) => Result<any, string>,
-	urlModifier?: (url: string, apiKey: string) => string
-) => async (query: string, schema: any, apiKey: string): Promise<LLMResponse> => {
-	const startTime = Date.now();
+const summarizeProbe = (response: LLMResponse): ProviderProbe => {
+	const attemptLog = response.attemptLog ?? [];
+	const status = attemptLog[attemptLog.length - 1]?.status;
+	return {
+		outcome: response.success ? 'ok' : response.errorType ?? 'network',
+		latency: response.latency,
+		...(status !== undefined && { status }),
+		...(response.model && { model: response.model }),
+		...(response.error && { error: response.error }),
+		...(response.providerError && { providerError: response.providerError })
+	};
+};
 
-	logInfo(`Querying ${provider}`, { query: query.substring(0, 100) });
+/** One attempt, no repairs, and schema violations count as failures so a broken translation shows up */
+const probeProvider = (descriptor: ProviderDescriptor, apiKey: string, prices: PriceTable): Promise<LLMResponse> =>
+	createLLMQueryFunction(descriptor)(PROBE_PROMPT, PROBE_SCHEMA, apiKey, {
+		target: descriptor.id,
+		prices,
+		timeoutMs: PROBE_TIMEOUT_MS,
+		rejectInvalid: true,
+		params: { maxTokens: PROBE_MAX_TOKENS }
+	});
 
-	try {
-		const finalUrl = urlModifier ? urlModifier(url, apiKey) : url;
-		const response = await fetch(finalUrl, {
-			method: 'POST',
-			headers: buildHeaders(apiKey),
-			body: JSON.stringify(buildBody(query, schema))
-		});
+/** Nothing probed is not healthy: a deployment without keys cannot answer a query */
+const overallProbeStatus = (providers: ProviderHealth[]): 'ok' | 'degraded' | 'down' | 'unconfigured' => {
+	const probes = providers.flatMap((provider) => (provider.probe ? [provider.probe] : []));
+	if (probes.length === 0) return 'unconfigured';
+	const healthy = probes.filter((probe) => probe.outcome === 'ok').length;
+	if (healthy === probes.length) return 'ok';
+	return healthy > 0 ? 'degraded' : 'down';
+};
 
-		const responseText = await response.text();
-		const latency = Date.now() - startTime;
+// ============================================================================
+// Streaming (Side Effects)
+// ============================================================================
+
+/**
+ * Emits one `response` event per provider as soon as it settles, then a `summary`
+ * event carrying the combined metadata (everything except the responses array).
+ */
+const createStreamingResponse = (
+	promises: Promise<LLMResponse>[],
+	queryRequest: QueryRequest,
+	skipped: SkippedTarget[],
+	overallStartTime: number,
+	ctx: ExecutionContext,
+	headers: Record<string, string> = {}
+): Response => {
+	const { readable, writable } = new TransformStream<Uint8Array, Uint8Array>();
+	const writer = writable.getWriter();
+	const encoder = new TextEncoder();
+	const send = (event: string, data: unknown) => writer.write(encoder.encode(formatSseEvent(event, data)));
+	const query = promptText(buildPrompt(queryRequest));
 
-		if (!response.ok) {
-			const errorMsg = `${provider} API error: ${response.status} ${response.statusText}`;
-			logWarn(errorMsg, {
-				status: response.status,
-				responsePreview: responseText.substring(0, 200)
+	const pump = async (): Promise<void> => {
+		try {
+			const responses = await Promise.all(
+				promises.map((promise) =>
+					promise.then(async (response) => {
+						await send('response', response);
+						return response;
+					})
+				)
+			);
+
+			const totalLatency = Date.now() - overallStartTime;
+			const { responses: _, ...summary } = createCombinedResponse(
+				query,
+				responses,
+				totalLatency,
+				queryRequest.aggregate,
+				skipped
+			);
+			await send('summary', summary);
+
+			logInfo('Stream completed successfully', {
+				query: query.substring(0, 100),
+				providersQueried: summary.providersQueried,
+				totalLatency
 			});
-			return {
-				provider,
-				success: false,
-				error: errorMsg,
-				latency
-			};
+		} catch (error) {
+			const errorMsg = error instanceof Error ? error.message : 'Unknown error';
+			logError('Stream failed', { error: errorMsg });
+			await send('error', { error: errorMsg, timestamp: getCurrentTimestamp() }).catch(() => undefined);
+		} finally {
+			await writer.close().catch(() => undefined);
 		}
+	};
 
-		const jsonParseResult = safeJsonParse(responseText);
-		if (!jsonParseResult.success) {
-			logError(`${provider} JSON parse failed`, { error: jsonParseResult.error });
-			return {
-				provider,
-				success: false,
-				error: jsonParseResult.error,
-				latency
-			};
-		}
+	ctx.waitUntil(pump());
 
-		const dataParseResult = parseResponse(jsonParseResult.value);
-		if (!dataParseResult.success) {
-			logError(`${provider} response parse failed`, { error: dataParseResult.error });
-			return {
-				provider,
-				success: false,
-				error: dataParseResult.error,
-				latency
-			};
+	return new Response(readable, {
+		status: 200,
+		headers: {
+			'Content-Type': 'text/event-stream',
+			'Cache-Control': 'no-cache',
+			...headers
 		}
-
-		logInfo(`${provider} query successful`, { latency });
-		return {
-			provider,
-			success: true,
-			data: dataParseResult.value,
-			latency
-		};
-	} catch (error) {
-		const latency = Date.now() - startTime;
-		const errorMsg = error instanceof Error ? error.message : 'Unknown error';
-		logError(`${provider} query failed`, { error: errorMsg, latency });
-		return {
-			provider,
-			success: false,
-			error: errorMsg,
-			latency
-		};
-	}
+	});
 };
 
-const queryOpenAI = createLLMQueryFunction(
-	LLM_CONFIGS.openai.name,
-	LLM_CONFIGS.openai.url,
-	(apiKey) => ({
-		'Content-Type': 'application/json',
-		'Authorization': `Bearer ${apiKey}`
-	}),
-	buildOpenAIRequestBody,
-	parseOpenAIResponse
-);
-
-const queryClaude = createLLMQueryFunction(
-	LLM_CONFIGS.anthropic.name,
-	LLM_CONFIGS.anthropic.url,
-	(apiKey) => ({
-		'Content-Type': 'application/json',
-		'x-api-key': apiKey,
-		'anthropic-version': '2023-06-01'
-	}),
-	buildClaudeRequestBody,
-	parseClaudeResponse
-);
-
-const queryGemini = createLLMQueryFunction(
-	LLM_CONFIGS.gemini.name,
-	LLM_CONFIGS.gemini.url,
-	() => ({
-		'Content-Type': 'application/json'
-	}),
-	buildGeminiRequestBody,
-	parseGeminiResponse,
-	(url, apiKey) => `${url}?key=${apiKey}`
-);
-
-const queryGrok = createLLMQueryFunction(
-	LLM_CONFIGS.grok.name,
-	LLM_CONFIGS.grok.url,
-	(apiKey) => ({
-		'Content-Type': 'application/json',
-		'Authorization': `Bearer ${apiKey}`
-	}),
-	buildGrokRequestBody,
-	parseGrokResponse
-);
-
 // ============================================================================
-// Main Business Logic (Pure Functions)
+// CORS (Pure Functions)
 // ============================================================================
 
-const validateRequest = (requestData: any): Result<QueryRequest, string> => {
-	if (!requestData || typeof requestData !== 'object') {
-		return { success: false, error: 'Invalid request body' };
-	}
+const parseList = (value: string | undefined): string[] | undefined => {
+	const items = value
+		?.split(',')
+		.map((item) => item.trim())
+		.filter((item) => item.length > 0);
+	return items && items.length > 0 ? items : undefined;
+};
 
-	if (!requestData.query || typeof requestData.query !== 'string') {
-		return { success: false, error: 'Missing required field: query' };
-	}
+/** Origins default to `*`; a list containing `*` anywhere also means any origin */
+const resolveCorsConfig = (env: Env): CorsConfig => {
+	const origins = parseList(readEnvString(env, 'CORS_ALLOWED_ORIGINS'));
+	const headers = parseList(readEnvString(env, 'CORS_ALLOWED_HEADERS'));
+	const maxAge = Number(readEnvString(env, 'CORS_MAX_AGE'));
+	return {
+		origins: !origins || origins.includes('*') ? '*' : origins,
+		methods: parseList(readEnvString(env, 'CORS_ALLOWED_METHODS'))?.map((method) => method.toUpperCase()) ?? DEFAULT_CORS_METHODS,
+		headers: headers?.includes('*') ? '*' : headers ?? DEFAULT_CORS_HEADERS,
+		maxAge: Number.isInteger(maxAge) && maxAge >= 0 ? maxAge : DEFAULT_CORS_MAX_AGE
+	};
+};
 
-	if (requestData.query.trim().length === 0) {
-		return { success: false, error: 'Query cannot be empty' };
+/**
+ * Headers added to every response. Listed origins are echoed back with
+ * `Vary: Origin`; other origins get no Allow-Origin and the browser blocks them.
+ */
+const buildCorsHeaders = (config: CorsConfig, origin: string | null): Record<string, string> => {
+	if (config.origins === '*') {
+		return { 'Access-Control-Allow-Origin': '*', 'Access-Control-Expose-Headers': CORS_EXPOSED_HEADERS.join(', ') };
 	}
-
-	return { success: true, value: requestData as QueryRequest };
+	if (origin === null || !config.origins.includes(origin)) {
+		return { Vary: 'Origin' };
+	}
+	return {
+		'Access-Control-Allow-Origin': origin,
+		'Access-Control-Expose-Headers': CORS_EXPOSED_HEADERS.join(', '),
+		Vary: 'Origin'
+	};
 };
 
-const resolveApiKeys = (requestData: QueryRequest, env: Env) => ({
-	openai: requestData.apiKeys?.openai || env.OPENAI_API_KEY,
-	anthropic: requestData.apiKeys?.anthropic || env.ANTHROPIC_API_KEY,
-	gemini: requestData.apiKeys?.gemini || env.GEMINI_API_KEY,
-	grok: requestData.apiKeys?.grok || env.GROK_API_KEY
-});
-
-const buildLLMPromises = (
-	query: string,
-	schema: any,
-	apiKeys: ReturnType<typeof resolveApiKeys>
-): Promise<LLMResponse>[] => {
-	const promises: Promise<LLMResponse>[] = [];
-
-	if (apiKeys.openai) promises.push(queryOpenAI(query, schema, apiKeys.openai));
-	if (apiKeys.anthropic) promises.push(queryClaude(query, schema, apiKeys.anthropic));
-	if (apiKeys.gemini) promises.push(queryGemini(query, schema, apiKeys.gemini));
-	if (apiKeys.grok) promises.push(queryGrok(query, schema, apiKeys.grok));
-
-	return promises;
+const createPreflightResponse = (config: CorsConfig, request: Request): Response => {
+	const requestedHeaders = request.headers.get('Access-Control-Request-Headers');
+	const allowedHeaders = config.headers === '*' ? requestedHeaders ?? '' : config.headers.join(', ');
+	return new Response(null, {
+		status: 204,
+		headers: {
+			'Access-Control-Allow-Methods': config.methods.join(', '),
+			...(allowedHeaders && { 'Access-Control-Allow-Headers': allowedHeaders }),
+			'Access-Control-Max-Age': String(config.maxAge)
+		}
+	});
 };
 
-const createCombinedResponse = (
-	query: string,
-	responses: LLMResponse[],
-	totalLatency: number
-): CombinedResponse => ({
-	query,
-	responses,
-	totalLatency,
-	timestamp: getCurrentTimestamp(),
-	providersQueried: responses.length
-});
+/** Copies the response so its headers become mutable; bodies, including streams, pass through untouched */
+const withHeaders = (response: Response, headers: Record<string, string>): Response => {
+	const copy = new Response(response.body, response);
+	Object.entries(headers).forEach(([name, value]) => copy.headers.set(name, value));
+	return copy;
+};
 
 // ============================================================================
-// Main Handler
+// Route Handlers
 // ============================================================================
 
-const handleRequest = async (request: Request, env: Env): Promise<Response> => {
+/** `POST /v1/query`: fan a query out to the providers and combine their answers */
+const handleQuery: RouteHandler = async (request, env, ctx) => {
 	const overallStartTime = Date.now();
 
-	logInfo('Received request', {
-		method: request.method,
-		url: request.url
-	});
-
-	// Validate HTTP method
-	if (request.method !== 'POST') {
-		return createErrorResponse(405, 'Method not allowed. Use POST.');
+	const authResult = await authenticate(request, env);
+	if (!authResult.success) {
+		return createErrorResponse(401, authResult.error, undefined, { 'WWW-Authenticate': 'Bearer error="invalid_token"' });
 	}
+	const caller = authResult.value;
 
 	// Parse and validate request body
 	let requestData: any;
@@ -487,41 +3839,364 @@ const handleRequest = async (request: Request, env: Env): Promise<Response> => {
 		});
 	}
 
-	const validationResult = validateRequest(requestData);
-	if (!validationResult.success) {
-		return createErrorResponse(400, validationResult.error);
+	const prepared = prepareQuery(requestData, env, caller, ctx);
+	if (!prepared.success) {
+		return createQueryErrorResponse(prepared.error);
 	}
+	const { request: queryRequest, prompt, schema, calls, skipped, cache, strategy } = prepared.value;
 
-	const queryRequest = validationResult.value;
-	const schema = queryRequest.schema || DEFAULT_SCHEMA;
-	const apiKeys = resolveApiKeys(queryRequest, env);
-
-	// Build promises for available LLMs
-	const promises = buildLLMPromises(queryRequest.query, schema, apiKeys);
+	const streaming = wantsEventStream(request, queryRequest);
+	if (streaming && strategy.mode !== 'all') {
+		return createErrorResponse(400, STREAM_STRATEGY_ERROR);
+	}
 
-	if (promises.length === 0) {
-		return createErrorResponse(
-			400,
-			'No API keys provided. Include apiKeys in request body or configure environment variables.'
-		);
+	const limits = resolveClientLimits(caller, env);
+	const limitStore = resolveLimitStore(env, limits);
+	const clientKey = resolveClientKey(request, caller);
+	const decision = await checkClientLimits(limitStore, clientKey, limits, Date.now());
+	if (!decision.allowed) {
+		return createErrorResponse(429, decision.error, { client: clientKey, limits }, decision.headers);
 	}
 
-	logInfo('Querying LLMs in parallel', { count: promises.length });
+	logInfo('Querying LLMs in parallel', { count: calls.length, caller: caller?.id });
+
+	if (streaming) {
+		const promises = buildLLMPromises(prompt, schema, calls, cache);
+		deferQuotaUsage(ctx, limitStore, clientKey, limits, Promise.all(promises));
+		return createStreamingResponse(promises, queryRequest, skipped, overallStartTime, ctx, decision.headers);
+	}
 
 	// Execute all queries in parallel
-	let responses: LLMResponse[];
+	const execution = executeQuery(prepared.value, overallStartTime);
+	deferQuotaUsage(ctx, limitStore, clientKey, limits, execution.then((result) => result.responses));
+
+	let result: CombinedResponse;
 	try {
-		responses = await Promise.all(promises);
+		result = await execution;
 	} catch (error) {
 		return createErrorResponse(500, 'Failed to query LLMs', {
 			error: error instanceof Error ? error.message : 'Unknown error'
 		});
 	}
 
-	const totalLatency = Date.now() - overallStartTime;
-	const result = createCombinedResponse(queryRequest.query, responses, totalLatency);
+	return createSuccessResponse(result, decision.headers);
+};
+
+/**
+ * `POST /v1/batch`: many queries in one call. The batch is authenticated and
+ * counts against the rate limit once; every item's usage counts against the
+ * daily quotas.
+ */
+const handleBatch: RouteHandler = async (request, env, ctx) => {
+	const startTime = Date.now();
+
+	const authResult = await authenticate(request, env);
+	if (!authResult.success) {
+		return createErrorResponse(401, authResult.error, undefined, { 'WWW-Authenticate': 'Bearer error="invalid_token"' });
+	}
+	const caller = authResult.value;
+
+	let body: any;
+	try {
+		body = await request.json();
+	} catch (error) {
+		return createErrorResponse(400, 'Invalid JSON in request body', { parseError: getErrorMessage(error) });
+	}
+
+	const validationResult = validateBatchRequest(body);
+	if (!validationResult.success) {
+		return createErrorResponse(400, validationResult.error);
+	}
+	const batch = validationResult.value;
+
+	const limits = resolveClientLimits(caller, env);
+	const limitStore = resolveLimitStore(env, limits);
+	const clientKey = resolveClientKey(request, caller);
+	const decision = await checkClientLimits(limitStore, clientKey, limits, Date.now());
+	if (!decision.allowed) {
+		return createErrorResponse(429, decision.error, { client: clientKey, limits }, decision.headers);
+	}
+
+	const concurrency = batch.concurrency ?? DEFAULT_BATCH_CONCURRENCY;
+	logInfo('Running batch', { queries: batch.queries.length, concurrency, caller: caller?.id });
+
+	// Every item counts against the rate window and re-checks the daily quota before it starts; the
+	// check above already counted the first item. Usage is recorded as each item finishes so later
+	// items see it, and items over a limit fail with 429 without querying anyone.
+	const run = (onResult?: (result: BatchItemResult) => Promise<void>) =>
+		mapWithConcurrency(batch.queries, concurrency, async (item, index) => {
+			const admission = index === 0 ? decision : await checkClientLimits(limitStore, clientKey, limits, Date.now());
+			const result = admission.allowed
+				? await runBatchItem(item, index, batch, env, caller, ctx)
+				: rejectBatchItem(index, admission, clientKey, limits);
+			if (result.success && hasDailyQuota(limits)) {
+				await recordQuotaUsage(limitStore, clientKey, result.result.responses, Date.now()).catch((error) =>
+					logWarn('Failed to record quota usage', { client: clientKey, error: getErrorMessage(error) })
+				);
+			}
+			await onResult?.(result).catch(() => undefined);
+			return result;
+		});
+
+	if (wantsNdjson(request, batch)) {
+		return createNdjsonBatchResponse(run, startTime, ctx, decision.headers);
+	}
+
+	const results = await run();
+	const response = summarizeBatch(results, Date.now() - startTime);
+	logInfo('Batch completed', { queries: results.length, failed: response.failed, totalLatency: response.totalLatency });
+	return createJsonResponse(response, 200, decision.headers);
+};
+
+/**
+ * `POST /v1/jobs`: validates and plans the query like `/v1/query`, then
+ * answers `202` with a job id and runs it after the response is sent.
+ */
+const handleJobSubmit: RouteHandler = async (request, env, ctx) => {
+	const authResult = await authenticate(request, env);
+	if (!authResult.success) {
+		return createErrorResponse(401, authResult.error, undefined, { 'WWW-Authenticate': 'Bearer error="invalid_token"' });
+	}
+	const caller = authResult.value;
+
+	let requestData: any;
+	try {
+		requestData = await request.json();
+	} catch (error) {
+		return createErrorResponse(400, 'Invalid JSON in request body', { parseError: getErrorMessage(error) });
+	}
+
+	if (!isPlainObject(requestData)) {
+		return createErrorResponse(400, 'Invalid request body');
+	}
+	const { callbackUrl, ...queryData } = requestData;
+	if (queryData.stream === true) {
+		return createErrorResponse(400, 'stream is not supported for jobs; poll the job or use callbackUrl');
+	}
+	const secret = readEnvString(env, 'WEBHOOK_SECRET');
+	if (callbackUrl !== undefined) {
+		const callbackError = validateCallbackUrl(callbackUrl);
+		if (callbackError) return createErrorResponse(400, callbackError);
+		if (!secret) return createErrorResponse(400, 'callbackUrl requires WEBHOOK_SECRET to be configured on this deployment');
+	}
+
+	const prepared = prepareQuery(queryData, env, caller, ctx);
+	if (!prepared.success) {
+		return createQueryErrorResponse(prepared.error);
+	}
+
+	const limits = resolveClientLimits(caller, env);
+	const limitStore = resolveLimitStore(env, limits);
+	const clientKey = resolveClientKey(request, caller);
+	const decision = await checkClientLimits(limitStore, clientKey, limits, Date.now());
+	if (!decision.allowed) {
+		return createErrorResponse(429, decision.error, { client: clientKey, limits }, decision.headers);
+	}
+
+	const store = resolveJobStore(env);
+	const ttlSeconds = resolveJobTtl(env);
+	const now = getCurrentTimestamp();
+	const job: Job = {
+		id: crypto.randomUUID(),
+		status: 'queued',
+		createdAt: now,
+		updatedAt: now,
+		...(caller && { owner: caller.id })
+	};
+	await writeJob(store, job, ttlSeconds);
+
+	const callback = callbackUrl !== undefined && secret ? { url: callbackUrl, secret } : undefined;
+	const execution = runJob(store, ttlSeconds, job, withJobDeadline(prepared.value), callback);
+	ctx.waitUntil(execution.catch((error) => logError('Job could not be stored', { id: job.id, error: getErrorMessage(error) })));
+	deferQuotaUsage(ctx, limitStore, clientKey, limits, execution.then((finished) => finished.result?.responses ?? []));
+
+	const statusUrl = `/v1/jobs/${job.id}`;
+	logInfo('Job queued', { id: job.id, caller: caller?.id, callback: callbackUrl !== undefined });
+	return createJsonResponse({ id: job.id, status: job.status, statusUrl, createdAt: job.createdAt }, 202, {
+		...decision.headers,
+		Location: statusUrl
+	});
+};
+
+/** `GET /v1/jobs/:id`: another caller's job is reported as missing rather than forbidden */
+const handleJobStatus: RouteHandler = async (request, env, _ctx, params) => {
+	const authResult = await authenticate(request, env);
+	if (!authResult.success) {
+		return createErrorResponse(401, authResult.error, undefined, { 'WWW-Authenticate': 'Bearer error="invalid_token"' });
+	}
+
+	const job = await readJob(resolveJobStore(env), params.id);
+	if (!job || (job.owner !== undefined && job.owner !== authResult.value?.id)) {
+		return createErrorResponse(404, `Job not found: ${params.id}`);
+	}
+	return createJsonResponse(job);
+};
+
+const describeProvider = (descriptor: ProviderDescriptor, env: Env): ProviderInfo => ({
+	id: descriptor.id,
+	name: descriptor.name,
+	model: descriptor.model,
+	configured: descriptor.envKey !== undefined && readEnvString(env, descriptor.envKey) !== undefined,
+	structuredOutput: descriptor.capabilities.structuredOutput,
+	schemaDialect: descriptor.schemaDialect,
+	modalities: descriptor.capabilities.modalities,
+	params: GENERATION_PARAM_NAMES.filter((name) => descriptor.paramNames[name] !== undefined)
+});
+
+/** `GET /v1/providers`: the registered providers, their default models and capabilities */
+const handleProviders: RouteHandler = async (_request, env) =>
+	createJsonResponse({
+		providers: listProviders().map((descriptor) => describeProvider(descriptor, env)),
+		timestamp: getCurrentTimestamp()
+	});
+
+/**
+ * `GET /v1/health`: which providers have a server-side key. With `?probe=true`
+ * it also sends each one a canned request, which spends the keys, so probing
+ * is authenticated and rate limited like a query.
+ */
+const handleHealth: RouteHandler = async (request, env, ctx) => {
+	const configured = listProviders().map((descriptor) => ({
+		descriptor,
+		apiKey: descriptor.envKey ? readEnvString(env, descriptor.envKey) : undefined
+	}));
+	const describeHealth = (descriptor: ProviderDescriptor, apiKey: string | undefined): ProviderHealth => ({
+		id: descriptor.id,
+		name: descriptor.name,
+		configured: apiKey !== undefined
+	});
+
+	if (new URL(request.url).searchParams.get('probe') !== 'true') {
+		return createJsonResponse({
+			status: 'ok',
+			providers: configured.map(({ descriptor, apiKey }) => describeHealth(descriptor, apiKey)),
+			timestamp: getCurrentTimestamp()
+		});
+	}
+
+	const authResult = await authenticate(request, env);
+	if (!authResult.success) {
+		return createErrorResponse(401, authResult.error, undefined, { 'WWW-Authenticate': 'Bearer error="invalid_token"' });
+	}
+	const caller = authResult.value;
+
+	const withKeys = configured.filter(({ apiKey }) => apiKey !== undefined);
+	const permitted = withKeys.filter(({ descriptor }) => mayUseEnvKey(caller, env, descriptor.id));
+	if (withKeys.length > 0 && permitted.length === 0) {
+		return createEnvKeyDeniedResponse(caller, withKeys.map(({ descriptor }) => descriptor.id));
+	}
+
+	const limits = resolveClientLimits(caller, env);
+	const limitStore = resolveLimitStore(env, limits);
+	const clientKey = resolveClientKey(request, caller);
+	const decision = await checkClientLimits(limitStore, clientKey, limits, Date.now());
+	if (!decision.allowed) {
+		return createErrorResponse(429, decision.error, { client: clientKey, limits }, decision.headers);
+	}
+
+	const prices = resolvePriceTable(env);
+	const providers = await Promise.all(
+		configured.map(async ({ descriptor, apiKey }): Promise<{ health: ProviderHealth; response?: LLMResponse }> => {
+			if (apiKey === undefined) return { health: describeHealth(descriptor, apiKey) };
+			if (!mayUseEnvKey(caller, env, descriptor.id)) {
+				return { health: { ...describeHealth(descriptor, apiKey), skipped: 'Not permitted for this token' } };
+			}
+			const response = await probeProvider(descriptor, apiKey, prices);
+			return { health: { ...describeHealth(descriptor, apiKey), probe: summarizeProbe(response) }, response };
+		})
+	);
+
+	const responses = providers.flatMap(({ response }) => (response ? [response] : []));
+	deferQuotaUsage(ctx, limitStore, clientKey, limits, Promise.resolve(responses));
+
+	const results = providers.map(({ health }) => health);
+	logInfo('Probed providers', { probed: results.filter((provider) => provider.probe).length, caller: caller?.id });
+
+	return createJsonResponse(
+		{ status: overallProbeStatus(results), providers: results, timestamp: getCurrentTimestamp() },
+		200,
+		decision.headers
+	);
+};
+
+// ============================================================================
+// Router
+// ============================================================================
+
+const ROUTES: readonly Route[] = [
+	{ method: 'POST', path: '/v1/query', handler: handleQuery },
+	{ method: 'POST', path: '/v1/batch', handler: handleBatch },
+	{ method: 'POST', path: '/v1/jobs', handler: handleJobSubmit },
+	{ method: 'GET', path: '/v1/jobs/:id', handler: handleJobStatus },
+	{ method: 'GET', path: '/v1/providers', handler: handleProviders },
+	{ method: 'GET', path: '/v1/health', handler: handleHealth },
+	// Legacy alias from before versioned paths
+	{ method: 'POST', path: '/', handler: handleQuery }
+];
+
+/** Drops a trailing slash so `/v1/health/` and `/v1/health` are the same route */
+const normalizePath = (pathname: string): string => (pathname.length > 1 ? pathname.replace(/\/+$/, '') : pathname);
+
+const decodePathSegment = (segment: string): string | undefined => {
+	try {
+		return decodeURIComponent(segment);
+	} catch {
+		return undefined;
+	}
+};
+
+/** A parameter segment with a malformed percent-escape does not match, so the path falls through to a 404 */
+const matchPath = (pattern: string, path: string): Record<string, string> | undefined => {
+	const patternSegments = pattern.split('/');
+	const pathSegments = path.split('/');
+	if (patternSegments.length !== pathSegments.length) return undefined;
+
+	const params: Record<string, string> = {};
+	for (const [index, segment] of patternSegments.entries()) {
+		if (segment.startsWith(':')) {
+			const value = decodePathSegment(pathSegments[index]);
+			if (value === undefined) return undefined;
+			params[segment.slice(1)] = value;
+		} else if (segment !== pathSegments[index]) {
+			return undefined;
+		}
+	}
+	return params;
+};
+
+/**
+ * Unknown paths get a JSON 404; a known path with the wrong method gets a 405
+ * listing the methods it does accept.
+ */
+const handleRequest = async (request: Request, env: Env, ctx: ExecutionContext): Promise<Response> => {
+	logInfo('Received request', {
+		method: request.method,
+		url: request.url
+	});
+
+	if (request.method === 'OPTIONS') {
+		return createPreflightResponse(resolveCorsConfig(env), request);
+	}
+
+	const path = normalizePath(new URL(request.url).pathname);
+	const matches = ROUTES.flatMap((route) => {
+		const params = matchPath(route.path, path);
+		return params ? [{ route, params }] : [];
+	});
+
+	if (matches.length === 0) {
+		return createErrorResponse(404, `Not found: ${request.method} ${path}`);
+	}
+
+	const match = matches.find(({ route }) => route.method === request.method);
+	if (!match) {
+		const allowed = [...new Set(matches.map(({ route }) => route.method))];
+		return createErrorResponse(405, `Method not allowed. Use ${allowed.join(', ')}.`, undefined, {
+			Allow: [...allowed, 'OPTIONS'].join(', ')
+		});
+	}
 
-	return createSuccessResponse(result);
+	return match.route.handler(request, env, ctx, match.params);
 };
 
 // ============================================================================
@@ -530,14 +4205,93 @@ const handleRequest = async (request: Request, env: Env): Promise<Response> => {
 
 export default {
 	async fetch(request: Request, env: Env, ctx: ExecutionContext): Promise<Response> {
+		const corsHeaders = buildCorsHeaders(resolveCorsConfig(env), request.headers.get('Origin'));
 		try {
-			return await handleRequest(request, env);
+			return withHeaders(await handleRequest(request, env, ctx), corsHeaders);
 		} catch (error) {
 			logError('Unhandled error in worker', {
 				error: error instanceof Error ? error.message : 'Unknown error',
 				stack: error instanceof Error ? error.stack : undefined
 			});
-			return createErrorResponse(500, 'Internal server error');
+			return withHeaders(createErrorResponse(500, 'Internal server error'), corsHeaders);
 		}
 	}
 } satisfies ExportedHandler<Env>;
+
+// ============================================================================
+// Exports for Tests
+// ============================================================================
+
+// Tests import these directly so they exercise the shipped code; the worker runtime only uses the default export
+export {
+	addUsage,
+	aggregateResponses,
+	agreementKey,
+	assignTargetIds,
+	authenticate,
+	buildCacheKey,
+	buildCallbackHeaders,
+	buildCorsHeaders,
+	buildLLMPromises,
+	buildPrompt,
+	buildProviderHeaders,
+	buildProviderUrl,
+	buildRepairPrompt,
+	checkClientLimits,
+	classifyHttpError,
+	computeBackoffDelay,
+	createCombinedResponse,
+	createCompatibleDescriptor,
+	createLLMQueryFunction,
+	createMemoryStore,
+	createProviderRegistry,
+	describeFailure,
+	estimateCost,
+	findModelPrice,
+	flattenToPointers,
+	formatSseEvent,
+	hmacSha256Hex,
+	isRetryableStatus,
+	mapGenerationParams,
+	mapWithConcurrency,
+	matchPath,
+	mayUseEnvKey,
+	mergeBatchItem,
+	normalizePath,
+	overallProbeStatus,
+	parseChatCompletion,
+	parseClaudeResponse,
+	parseClaudeUsage,
+	parseGeminiResponse,
+	parseGeminiUsage,
+	parseOpenAIUsage,
+	parseProviderError,
+	parseRetryAfter,
+	parseStrategy,
+	partitionCallsByModality,
+	PROVIDER_REGISTRY,
+	queryThroughCache,
+	readBearerToken,
+	readCachedResponse,
+	recordQuotaUsage,
+	requiredModalities,
+	resolveApiKeys,
+	resolveChatCompletionsUrl,
+	resolveCorsConfig,
+	resolveJobTtl,
+	resolveLimitStore,
+	resolveTimeout,
+	runStrategy,
+	sha256Hex,
+	summarizeProbe,
+	toClaudeContent,
+	toGeminiParts,
+	toOpenAIContent,
+	translateSchema,
+	validateAgainstSchema,
+	validateBatchRequest,
+	validateCallbackUrl,
+	validateRequest,
+	wantsEventStream,
+	withJobDeadline
+};
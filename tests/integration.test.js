@@ -63,6 +63,70 @@ describe('Worker HTTP Interface', () => {
   });
 });
 
+describe('Routing', () => {
+  it('should answer GET /v1/health', async () => {
+    const response = await fetch(`${BASE_URL}/v1/health`);
+
+    expect(response.status).toBe(200);
+    const data = await response.json();
+    expect(data.status).toBe('ok');
+  });
+
+  it('should list providers without exposing keys', async () => {
+    const response = await fetch(`${BASE_URL}/v1/providers`);
+
+    expect(response.status).toBe(200);
+    const data = await response.json();
+    expect(data.providers.map(p => p.id)).toEqual(expect.arrayContaining(['openai', 'anthropic', 'gemini', 'grok']));
+    expect(typeof data.providers[0].configured).toBe('boolean');
+  });
+
+  it('should return a JSON 404 for unknown paths', async () => {
+    const response = await fetch(`${BASE_URL}/v2/query`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ query: 'test' })
+    });
+
+    expect(response.status).toBe(404);
+    const data = await response.json();
+    expect(data.error).toContain('Not found');
+  });
+
+  it('should validate batch bodies', async () => {
+    const response = await fetch(`${BASE_URL}/v1/batch`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ queries: [] })
+    });
+
+    expect(response.status).toBe(400);
+    const data = await response.json();
+    expect(data.error).toContain('queries');
+  });
+
+  it('should isolate invalid batch items', async () => {
+    const response = await fetch(`${BASE_URL}/v1/batch`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ queries: [{ query: '' }, { query: 'test', apiKeys: { openai: 'fake-key' } }] })
+    });
+
+    expect(response.status).toBe(200);
+    const data = await response.json();
+    expect(data.results.map(r => r.index)).toEqual([0, 1]);
+    expect(data.results[0]).toMatchObject({ success: false, status: 400 });
+    expect(data.results[1].success).toBe(true);
+  });
+
+  it('should send an Allow header with 405', async () => {
+    const response = await fetch(`${BASE_URL}/v1/query`, { method: 'GET' });
+
+    expect(response.status).toBe(405);
+    expect(response.headers.get('Allow')).toBe('POST, OPTIONS');
+  });
+});
+
 describe('Request Validation', () => {
   it('should reject invalid JSON', async () => {
     const response = await fetch(BASE_URL, {
@@ -3,7 +3,79 @@
  * Tests pure functions and business logic
  */
 
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import worker, {
+  addUsage,
+  aggregateResponses,
+  agreementKey,
+  assignTargetIds,
+  authenticate,
+  buildCacheKey,
+  buildCallbackHeaders,
+  buildCorsHeaders,
+  buildLLMPromises,
+  buildPrompt,
+  buildProviderHeaders,
+  buildProviderUrl,
+  buildRepairPrompt,
+  checkClientLimits,
+  classifyHttpError,
+  computeBackoffDelay,
+  createCombinedResponse,
+  createCompatibleDescriptor,
+  createLLMQueryFunction,
+  createMemoryStore,
+  createProviderRegistry,
+  describeFailure,
+  estimateCost,
+  findModelPrice,
+  flattenToPointers,
+  formatSseEvent,
+  hmacSha256Hex,
+  isRetryableStatus,
+  mapGenerationParams,
+  mapWithConcurrency,
+  matchPath,
+  mayUseEnvKey,
+  mergeBatchItem,
+  normalizePath,
+  overallProbeStatus,
+  parseChatCompletion,
+  parseClaudeResponse,
+  parseClaudeUsage,
+  parseGeminiResponse,
+  parseGeminiUsage,
+  parseOpenAIUsage,
+  parseProviderError,
+  parseRetryAfter,
+  parseStrategy,
+  partitionCallsByModality,
+  PROVIDER_REGISTRY,
+  queryThroughCache,
+  readBearerToken,
+  readCachedResponse,
+  recordQuotaUsage,
+  requiredModalities,
+  resolveApiKeys,
+  resolveChatCompletionsUrl,
+  resolveCorsConfig,
+  resolveJobTtl,
+  resolveLimitStore,
+  resolveTimeout,
+  runStrategy,
+  sha256Hex,
+  summarizeProbe,
+  toClaudeContent,
+  toGeminiParts,
+  toOpenAIContent,
+  translateSchema,
+  validateAgainstSchema,
+  validateBatchRequest,
+  validateCallbackUrl,
+  validateRequest,
+  wantsEventStream,
+  withJobDeadline
+} from '../src/index';
 
 // Mock test data
 const mockSchema = {
@@ -32,6 +104,10 @@ const mockLLMResponse = {
 };
 
 describe('Request Validation', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
   it('should validate a valid request', () => {
     const requestData = {
       query: 'Test query',
@@ -77,6 +153,20 @@ describe('Request Validation', () => {
     expect(requestData.query).toBeDefined();
     expect(requestData.schema).toBeUndefined();
   });
+
+  it('should reject a schema that is not an object before any provider is called', async () => {
+    const fetchSpy = vi.spyOn(globalThis, 'fetch');
+    const ctx = { waitUntil: () => {}, passThroughOnException: () => {} };
+    const body = JSON.stringify({ query: 'q', schema: 'foo', apiKeys: { openai: 'k' } });
+
+    const response = await worker.fetch(new Request('https://worker.test/v1/query', { method: 'POST', body }), {}, ctx);
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).error).toBe('schema must be a JSON Schema object');
+    expect(validateRequest({ query: 'q', schema: ['type', 'object'] }).success).toBe(false);
+    expect(validateRequest({ query: 'q', schema: mockSchema }).success).toBe(true);
+    expect(fetchSpy).not.toHaveBeenCalled();
+  });
 });
 
 describe('API Key Resolution', () => {
@@ -316,6 +406,7 @@ describe('Request Body Builders', () => {
 
     const body = {
       contents: [{
+        role: 'user',
         parts: [{ text: query }]
       }],
       generationConfig: {
@@ -528,3 +619,1408 @@ describe('Promise Array Building', () => {
     expect(availableKeys).toHaveLength(4);
   });
 });
+
+describe('Consensus Aggregation', () => {
+  const responses = [
+    { provider: 'OpenAI GPT-4', success: true, data: { answer: 'Paris', confidence: 0.9 }, latency: 1 },
+    { provider: 'Anthropic Claude', success: true, data: { answer: 'paris ', confidence: 0.9 }, latency: 1 },
+    { provider: 'Google Gemini', success: true, data: { answer: 'Lyon', confidence: 0.1 }, latency: 1 },
+    { provider: 'xAI Grok', success: false, error: 'API error', latency: 1 }
+  ];
+
+  const fieldsFor = (mode, list = responses) => aggregateResponses(list, { mode }).fields;
+
+  it('should flatten nested objects into JSON pointers', () => {
+    expect(flattenToPointers({ a: { b: 1, c: [1, 2] }, d: 'x' })).toEqual({
+      '/a/b': 1,
+      '/a/c': [1, 2],
+      '/d': 'x'
+    });
+  });
+
+  it('should pick the majority value and list dissenters', () => {
+    const fields = fieldsFor('majority');
+
+    expect(fields['/answer'].value).toBe('Paris');
+    expect(fields['/answer'].agreement).toBeCloseTo(2 / 3);
+    expect(fields['/answer'].agreed).toBe(true);
+    expect(fields['/answer'].dissenters).toEqual(['Google Gemini']);
+  });
+
+  it('should ignore failed responses', () => {
+    const result = aggregateResponses(responses, { mode: 'majority' });
+    expect(result.providers).not.toContain('xAI Grok');
+    expect(result.fields['/answer'].dissenters).not.toContain('xAI Grok');
+  });
+
+  it('should weight votes by confidence', () => {
+    const fields = fieldsFor('confidence-weighted');
+    expect(fields['/answer'].agreement).toBeCloseTo(1.8 / 1.9);
+  });
+
+  it('should read weights from a custom confidence field', () => {
+    const scored = responses.map((r) => (r.success ? { ...r, data: { answer: r.data.answer, score: r.data.confidence } } : r));
+    const fields = aggregateResponses(scored, { mode: 'confidence-weighted', confidenceField: 'score' }).fields;
+    expect(fields['/answer'].agreement).toBeCloseTo(1.8 / 1.9);
+  });
+
+  it('should require every provider to agree in unanimous mode', () => {
+    const fields = fieldsFor('unanimous');
+    expect(fields['/answer'].agreed).toBe(false);
+  });
+
+  it('should count a missing field as dissent', () => {
+    const fields = fieldsFor('majority', [
+      { provider: 'A', success: true, data: { answer: 'x', note: 'n' } },
+      { provider: 'B', success: true, data: { answer: 'x' } }
+    ]);
+
+    expect(fields['/note'].agreement).toBe(0.5);
+    expect(fields['/note'].agreed).toBe(false);
+    expect(fields['/note'].dissenters).toEqual(['B']);
+  });
+
+  it('should rebuild the consensus value from the winning fields', () => {
+    expect(aggregateResponses(responses, { mode: 'majority' }).value).toEqual({ answer: 'Paris', confidence: 0.9 });
+  });
+});
+
+describe('Server-Sent Events Streaming', () => {
+  const request = (accept) => new Request('https://worker.test/v1/query', { method: 'POST', headers: accept ? { Accept: accept } : {} });
+
+  it('should format a named event with a single JSON data line', () => {
+    const event = formatSseEvent('response', mockLLMResponse);
+
+    expect(event.startsWith('event: response\n')).toBe(true);
+    expect(event.endsWith('\n\n')).toBe(true);
+    expect(JSON.parse(event.split('\n')[1].replace('data: ', ''))).toEqual(mockLLMResponse);
+  });
+
+  it('should keep multi-line data on one line', () => {
+    const event = formatSseEvent('response', { answer: 'line 1\nline 2' });
+    expect(event.split('\n')).toHaveLength(4);
+  });
+
+  it('should stream when requested via body flag or Accept header', () => {
+    expect(wantsEventStream(request(), { query: 'Test', stream: true })).toBe(true);
+    expect(wantsEventStream(request('text/event-stream'), { query: 'Test' })).toBe(true);
+    expect(wantsEventStream(request('application/json'), { query: 'Test' })).toBe(false);
+    expect(wantsEventStream(request(), { query: 'Test', stream: false })).toBe(false);
+  });
+});
+
+describe('Timeouts', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should use the global timeout when no override is given', () => {
+    expect(resolveTimeout({ timeoutMs: 5000 }, 'openai')).toBe(5000);
+  });
+
+  it('should prefer a shorter per-provider override', () => {
+    expect(resolveTimeout({ timeoutMs: 5000, providerTimeouts: { gemini: 2000 } }, 'gemini')).toBe(2000);
+  });
+
+  it('should never extend past the global deadline', () => {
+    expect(resolveTimeout({ timeoutMs: 5000, providerTimeouts: { gemini: 9000 } }, 'gemini')).toBe(5000);
+  });
+
+  it('should leave the provider unbounded when nothing is configured', () => {
+    expect(resolveTimeout({}, 'grok')).toBeUndefined();
+  });
+
+  it('should report an aborted provider as a timeout with its elapsed latency', async () => {
+    vi.spyOn(globalThis, 'fetch').mockImplementation((_, init) => new Promise((_resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(new Error('The operation was aborted')));
+    }));
+
+    const queryGemini = createLLMQueryFunction(PROVIDER_REGISTRY.get('gemini'));
+    const response = await queryGemini({ messages: [{ role: 'user', content: 'Test' }] }, mockSchema, 'key', { timeoutMs: 20 });
+
+    expect(response.success).toBe(false);
+    expect(response.errorType).toBe('timeout');
+    expect(response.retryable).toBe(true);
+    expect(response.latency).toBeGreaterThanOrEqual(15);
+  });
+});
+
+describe('Retry Policy', () => {
+  const policy = { maxAttempts: 4, baseDelayMs: 500, maxDelayMs: 8000, jitter: false, respectRetryAfter: true };
+  const prompt = { messages: [{ role: 'user', content: 'Test' }] };
+
+  const rateLimited = (retryAfter) =>
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async () =>
+      new Response('{"error":{"message":"slow down"}}', { status: 429, headers: { 'Retry-After': retryAfter } })
+    );
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should retry rate limits and server errors only', () => {
+    expect(isRetryableStatus(429)).toBe(true);
+    expect(isRetryableStatus(500)).toBe(true);
+    expect(isRetryableStatus(529)).toBe(true);
+    expect(isRetryableStatus(400)).toBe(false);
+    expect(isRetryableStatus(401)).toBe(false);
+  });
+
+  it('should back off exponentially up to the cap', () => {
+    expect([1, 2, 3, 4, 5, 6].map(attempt => computeBackoffDelay(policy, attempt)))
+      .toEqual([500, 1000, 2000, 4000, 8000, 8000]);
+  });
+
+  it('should keep jittered delays between half and all of the backoff', () => {
+    const jittered = { ...policy, jitter: true };
+    expect(computeBackoffDelay(jittered, 3, undefined, () => 0)).toBe(1000);
+    expect(computeBackoffDelay(jittered, 3, undefined, () => 1)).toBe(2000);
+  });
+
+  it('should honor Retry-After as a floor when enabled', () => {
+    expect(computeBackoffDelay(policy, 1, 3000)).toBe(3000);
+    expect(computeBackoffDelay({ ...policy, respectRetryAfter: false }, 1, 3000)).toBe(500);
+  });
+
+  it('should parse Retry-After seconds and HTTP dates', () => {
+    const now = Date.parse('2025-10-20T19:45:00Z');
+    expect(parseRetryAfter('2', now)).toBe(2000);
+    expect(parseRetryAfter('Mon, 20 Oct 2025 19:45:05 GMT', now)).toBe(5000);
+    expect(parseRetryAfter(null, now)).toBeUndefined();
+    expect(parseRetryAfter('soon', now)).toBeUndefined();
+  });
+
+  it('should give up instead of waiting out a Retry-After longer than maxDelayMs', async () => {
+    const fetchSpy = rateLimited('30');
+    const queryOpenAI = createLLMQueryFunction(PROVIDER_REGISTRY.get('openai'));
+    const response = await queryOpenAI(prompt, mockSchema, 'key', { retry: { ...policy, maxDelayMs: 1000 } });
+
+    expect(fetchSpy).toHaveBeenCalledTimes(1);
+    expect(response).toMatchObject({ success: false, errorType: 'rate_limit', status: 429, attempts: 1 });
+  });
+
+  it('should give up instead of waiting past the timeout', async () => {
+    const fetchSpy = rateLimited('2');
+    const queryOpenAI = createLLMQueryFunction(PROVIDER_REGISTRY.get('openai'));
+    const startTime = Date.now();
+    const response = await queryOpenAI(prompt, mockSchema, 'key', { retry: policy, timeoutMs: 1000 });
+
+    expect(fetchSpy).toHaveBeenCalledTimes(1);
+    expect(response).toMatchObject({ success: false, errorType: 'rate_limit', status: 429 });
+    expect(Date.now() - startTime).toBeLessThan(500);
+  });
+});
+
+describe('Schema Validation', () => {
+  const strictSchema = { ...mockSchema, additionalProperties: false };
+
+  it('should accept output that satisfies the schema', () => {
+    expect(validateAgainstSchema({ answer: 'Paris', confidence: 0.99 }, strictSchema)).toEqual([]);
+  });
+
+  it('should report missing required properties at the parent pointer', () => {
+    const errors = validateAgainstSchema({ answer: 'Paris' }, strictSchema);
+    expect(errors).toEqual([{ pointer: '', keyword: 'required', message: "must have required property 'confidence'" }]);
+  });
+
+  it('should report additional properties at their own pointer', () => {
+    const errors = validateAgainstSchema({ answer: 'Paris', confidence: 1, reasoning: '...' }, strictSchema);
+    expect(errors.map(e => e.pointer)).toEqual(['/reasoning']);
+    expect(errors[0].keyword).toBe('additionalProperties');
+  });
+
+  it('should report type errors with nested JSON pointers', () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        cities: { type: 'array', items: { type: 'object', properties: { population: { type: 'integer' } } } }
+      }
+    };
+    const errors = validateAgainstSchema({ cities: [{ population: 10 }, { population: '2M' }] }, schema);
+    expect(errors).toEqual([{ pointer: '/cities/1/population', keyword: 'type', message: 'must be integer' }]);
+  });
+
+  it('should resolve local $ref and honor nullable', () => {
+    const schema = {
+      type: 'object',
+      properties: { capital: { $ref: '#/$defs/city' } },
+      $defs: { city: { type: 'string', nullable: true } }
+    };
+    expect(validateAgainstSchema({ capital: null }, schema)).toEqual([]);
+    expect(validateAgainstSchema({ capital: 42 }, schema)[0].pointer).toBe('/capital');
+  });
+
+  it('should check enums and numeric bounds', () => {
+    const schema = {
+      type: 'object',
+      properties: { label: { type: 'string', enum: ['yes', 'no'] }, confidence: { type: 'number', maximum: 1 } }
+    };
+    const errors = validateAgainstSchema({ label: 'maybe', confidence: 1.5 }, schema);
+    expect(errors.map(e => e.keyword)).toEqual(['enum', 'maximum']);
+  });
+});
+
+describe('Schema Repair Round-Trip', () => {
+  const geminiReply = (text) =>
+    new Response(JSON.stringify({ candidates: [{ content: { parts: [{ text }] }, finishReason: 'STOP' }] }), { status: 200 });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should list validation errors by pointer', () => {
+    const prompt = buildRepairPrompt(
+      { success: true, value: { answer: 'Paris' } },
+      [{ pointer: '', keyword: 'required', message: "must have required property 'confidence'" }]
+    );
+
+    expect(prompt).toContain("- / must have required property 'confidence'");
+    expect(prompt).toContain('Respond again');
+  });
+
+  it('should explain JSON parse failures', () => {
+    const prompt = buildRepairPrompt({ success: false, error: 'JSON parse error: Unexpected token', raw: 'Paris' }, []);
+    expect(prompt).toContain('was not valid JSON (JSON parse error: Unexpected token)');
+  });
+
+  it('should replay the bad output as an assistant turn before the correction request', async () => {
+    const fetchSpy = vi.spyOn(globalThis, 'fetch')
+      .mockResolvedValueOnce(geminiReply('Paris'))
+      .mockResolvedValueOnce(geminiReply('{"answer":"Paris","confidence":0.9}'));
+
+    const queryGemini = createLLMQueryFunction(PROVIDER_REGISTRY.get('gemini'));
+    const response = await queryGemini({ messages: [{ role: 'user', content: 'What is the capital of France?' }] }, mockSchema, 'key', {
+      repairAttempts: 1
+    });
+
+    expect(response).toMatchObject({ success: true, repairs: 1, data: { answer: 'Paris', confidence: 0.9 } });
+    const { contents } = JSON.parse(fetchSpy.mock.calls[1][1].body);
+    expect(contents.map(c => c.role)).toEqual(['user', 'model', 'user']);
+    expect(contents[1].parts[0].text).toBe('Paris');
+    expect(contents[2].parts[0].text).toContain('was not valid JSON');
+  });
+});
+
+describe('Schema Translation', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      answer: { type: 'string', minLength: 1 },
+      sources: { type: 'array', items: { type: 'string', format: 'uri' } }
+    },
+    required: ['answer']
+  };
+
+  it('should close objects and require every property for OpenAI strict mode', () => {
+    const translated = translateSchema(schema, 'openai-strict').schema;
+
+    expect(translated.additionalProperties).toBe(false);
+    expect(translated.required).toEqual(['answer', 'sources']);
+    expect(translated.properties.sources.type).toEqual(['array', 'null']);
+    expect(translated.properties.answer.type).toBe('string');
+  });
+
+  it('should report dropped keywords with their schema pointer', () => {
+    const { warnings } = translateSchema(schema, 'openai-strict');
+
+    expect(warnings).toContainEqual({ pointer: '/properties/answer', message: "dropped unsupported keyword 'minLength'" });
+    expect(warnings).toContainEqual({ pointer: '/properties/sources/items', message: "dropped unsupported keyword 'format'" });
+  });
+
+  it('should convert types to the Gemini uppercase enum', () => {
+    const translated = translateSchema(schema, 'gemini').schema;
+
+    expect(translated.type).toBe('OBJECT');
+    expect(translated.properties.answer.type).toBe('STRING');
+    expect(translated.properties.sources.items.type).toBe('STRING');
+    expect(translated.additionalProperties).toBeUndefined();
+  });
+
+  it('should express nullable type unions with the Gemini nullable flag', () => {
+    expect(translateSchema({ type: ['string', 'null'] }, 'gemini').schema).toEqual({ type: 'STRING', nullable: true });
+  });
+});
+
+describe('Provider Registry', () => {
+  it('should reject duplicate provider ids', () => {
+    expect(() => createProviderRegistry([{ id: 'a' }, { id: 'a' }])).toThrow('Duplicate provider id: a');
+  });
+
+  it('should resolve one key per registered provider', () => {
+    const env = { GEMINI_API_KEY: 'env-key', ALLOW_ANONYMOUS_ENV_KEYS: 'true' };
+    const apiKeys = resolveApiKeys({ apiKeys: { openai: 'request-key' } }, env);
+    expect(apiKeys).toEqual({ openai: 'request-key', anthropic: undefined, gemini: 'env-key', grok: undefined });
+  });
+
+  it('should build headers from the auth style', () => {
+    expect(buildProviderHeaders(PROVIDER_REGISTRY.get('openai'), 'k').Authorization).toBe('Bearer k');
+    expect(buildProviderHeaders(PROVIDER_REGISTRY.get('anthropic'), 'k')).toEqual({
+      'Content-Type': 'application/json',
+      'x-api-key': 'k',
+      'anthropic-version': '2023-06-01'
+    });
+    expect(buildProviderHeaders(PROVIDER_REGISTRY.get('gemini'), 'k').Authorization).toBeUndefined();
+  });
+
+  it('should fill the model placeholder and append query-string keys', () => {
+    expect(buildProviderUrl(PROVIDER_REGISTRY.get('gemini'), 'gemini-1.5-pro', 'k'))
+      .toBe('https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-pro:generateContent?key=k');
+    expect(buildProviderUrl(PROVIDER_REGISTRY.get('openai'), 'gpt-4o', 'k')).toBe('https://api.openai.com/v1/chat/completions');
+  });
+});
+
+describe('OpenAI-Compatible Endpoints', () => {
+  it('should append the chat completions path to an API base', () => {
+    expect(resolveChatCompletionsUrl('http://localhost:11434/v1')).toBe('http://localhost:11434/v1/chat/completions');
+    expect(resolveChatCompletionsUrl('http://localhost:8000/v1/')).toBe('http://localhost:8000/v1/chat/completions');
+  });
+
+  it('should keep full chat completions URLs as-is', () => {
+    expect(resolveChatCompletionsUrl('https://openrouter.ai/api/v1/chat/completions'))
+      .toBe('https://openrouter.ai/api/v1/chat/completions');
+  });
+
+  it('should preserve query strings such as Azure api-version', () => {
+    expect(resolveChatCompletionsUrl('https://acme.openai.azure.com/openai/deployments/gpt4o?api-version=2024-06-01'))
+      .toBe('https://acme.openai.azure.com/openai/deployments/gpt4o/chat/completions?api-version=2024-06-01');
+  });
+
+  it('should only send a bearer token when the endpoint has a key', () => {
+    expect(createCompatibleDescriptor({ id: 'ollama', baseUrl: 'http://localhost:11434/v1', model: 'llama3.1' }).auth).toBe('none');
+    expect(createCompatibleDescriptor({ id: 'together', baseUrl: 'https://api.together.xyz/v1', model: 'm', apiKey: 'k' }).auth).toBe('bearer');
+  });
+
+  it('should default the display name to the endpoint id', () => {
+    expect(createCompatibleDescriptor({ id: 'vllm', baseUrl: 'http://gpu-box:8000/v1', model: 'qwen' }).name).toBe('vllm');
+  });
+});
+
+describe('Generation Parameters', () => {
+  const paramNames = (provider) => PROVIDER_REGISTRY.get(provider).paramNames;
+  const params = { temperature: 0.2, maxTokens: 512, seed: 42 };
+
+  it('should rename parameters to OpenAI field names', () => {
+    expect(mapGenerationParams(params, paramNames('openai'))).toEqual({
+      mapped: { temperature: 0.2, max_tokens: 512, seed: 42 },
+      unsupported: []
+    });
+  });
+
+  it('should rename parameters to Gemini generationConfig field names', () => {
+    expect(mapGenerationParams(params, paramNames('gemini')).mapped).toEqual({ temperature: 0.2, maxOutputTokens: 512, seed: 42 });
+  });
+
+  it('should report parameters a vendor does not support', () => {
+    expect(mapGenerationParams(params, paramNames('anthropic'))).toEqual({
+      mapped: { temperature: 0.2, max_tokens: 512 },
+      unsupported: ['seed']
+    });
+  });
+
+  it('should let maxTokens override the Claude default', () => {
+    const claude = PROVIDER_REGISTRY.get('anthropic');
+    const { mapped } = mapGenerationParams({ maxTokens: 1024 }, claude.paramNames);
+    const body = claude.buildBody({ messages: [{ role: 'user', content: 'Test' }], schema: mockSchema, model: claude.model, params: mapped });
+    expect(body.max_tokens).toBe(1024);
+  });
+
+  it('should skip undefined parameters', () => {
+    expect(mapGenerationParams({ temperature: undefined }, paramNames('openai'))).toEqual({ mapped: {}, unsupported: [] });
+  });
+});
+
+describe('Targets', () => {
+  const ids = (targets) => assignTargetIds(targets).map(target => target.id);
+
+  it('should default ids to provider:model', () => {
+    expect(ids([{ provider: 'openai', model: 'gpt-4o' }, { provider: 'openai', model: 'gpt-4o-mini' }]))
+      .toEqual(['openai:gpt-4o', 'openai:gpt-4o-mini']);
+  });
+
+  it('should fall back to the provider id when no model is given', () => {
+    expect(ids([{ provider: 'anthropic' }])).toEqual(['anthropic']);
+  });
+
+  it('should suffix repeated generated ids', () => {
+    expect(ids([{ provider: 'openai', model: 'gpt-4o' }, { provider: 'openai', model: 'gpt-4o' }, { provider: 'openai', model: 'gpt-4o' }]))
+      .toEqual(['openai:gpt-4o', 'openai:gpt-4o#2', 'openai:gpt-4o#3']);
+  });
+
+  it('should never give a generated id to a later explicit target', () => {
+    expect(ids([{ provider: 'openai' }, { id: 'openai', provider: 'grok' }])).toEqual(['openai#2', 'openai']);
+  });
+});
+
+describe('Conversations and System Prompts', () => {
+  const fewShot = {
+    system: 'Answer with the capital city only.',
+    messages: [
+      { role: 'user', content: 'Spain?' },
+      { role: 'assistant', content: '{"answer":"Madrid"}' }
+    ],
+    query: 'France?'
+  };
+
+  const bodyFor = (provider, prompt) => {
+    const descriptor = PROVIDER_REGISTRY.get(provider);
+    return descriptor.buildBody({ ...prompt, schema: mockSchema, model: descriptor.model, params: {} });
+  };
+
+  it('should wrap a bare query as a single user turn', () => {
+    expect(buildPrompt({ query: 'Test query' })).toEqual({ messages: [{ role: 'user', content: 'Test query' }] });
+  });
+
+  it('should append the query after the conversation', () => {
+    const prompt = buildPrompt(fewShot);
+    expect(prompt.messages.map(message => message.role)).toEqual(['user', 'assistant', 'user']);
+    expect(prompt.messages[2].content).toBe('France?');
+  });
+
+  it('should put the system prompt first for OpenAI and Grok', () => {
+    ['openai', 'grok'].forEach((provider) => {
+      const { messages } = bodyFor(provider, buildPrompt(fewShot));
+      expect(messages[0]).toEqual({ role: 'system', content: 'Answer with the capital city only.' });
+      expect(messages).toHaveLength(4);
+    });
+  });
+
+  it('should send the system prompt top-level for Anthropic', () => {
+    const body = bodyFor('anthropic', buildPrompt(fewShot));
+    expect(body.system).toBe('Answer with the capital city only.');
+    expect(body.messages.every(message => message.role !== 'system')).toBe(true);
+  });
+
+  it('should use systemInstruction and the model role for Gemini', () => {
+    const body = bodyFor('gemini', buildPrompt(fewShot));
+    expect(body.systemInstruction.parts[0].text).toBe('Answer with the capital city only.');
+    expect(body.contents.map(content => content.role)).toEqual(['user', 'model', 'user']);
+  });
+
+  it('should omit the system prompt when none is given', () => {
+    expect(bodyFor('openai', buildPrompt({ query: 'Hi' })).messages).toHaveLength(1);
+    expect(bodyFor('anthropic', buildPrompt({ query: 'Hi' })).system).toBeUndefined();
+  });
+});
+
+describe('Images and Documents', () => {
+  const image = { type: 'image', mediaType: 'image/png', data: 'iVBORw0' };
+  const pdf = { type: 'document', mediaType: 'application/pdf', data: 'JVBERi0' };
+
+  it('should send OpenAI images as data URLs', () => {
+    expect(toOpenAIContent([image])).toEqual([{ type: 'image_url', image_url: { url: 'data:image/png;base64,iVBORw0' } }]);
+  });
+
+  it('should send OpenAI documents as file parts', () => {
+    expect(toOpenAIContent([pdf])[0].file).toEqual({ filename: 'document.pdf', file_data: 'data:application/pdf;base64,JVBERi0' });
+  });
+
+  it('should pass image URLs through unchanged', () => {
+    const part = { type: 'image', url: 'https://example.com/invoice.png' };
+    expect(toOpenAIContent([part])[0].image_url.url).toBe('https://example.com/invoice.png');
+    expect(toClaudeContent([part])[0].source).toEqual({ type: 'url', url: 'https://example.com/invoice.png' });
+  });
+
+  it('should build Claude image and document blocks', () => {
+    expect(toClaudeContent([image, pdf])).toEqual([
+      { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'iVBORw0' } },
+      { type: 'document', source: { type: 'base64', media_type: 'application/pdf', data: 'JVBERi0' } }
+    ]);
+  });
+
+  it('should build Gemini inlineData parts', () => {
+    expect(toGeminiParts([{ type: 'text', text: 'Invoice:' }, pdf])).toEqual([
+      { text: 'Invoice:' },
+      { inlineData: { mimeType: 'application/pdf', data: 'JVBERi0' } }
+    ]);
+  });
+
+  it('should leave plain string content alone', () => {
+    expect(toOpenAIContent('Hi')).toBe('Hi');
+    expect(toClaudeContent('Hi')).toBe('Hi');
+  });
+
+  it('should collect the modalities a prompt requires', () => {
+    const messages = [
+      { role: 'user', content: [image, { type: 'image', url: 'https://example.com/a.png' }, image] },
+      { role: 'user', content: 'And the total?' }
+    ];
+    expect(requiredModalities({ messages })).toEqual(['image', 'image-url']);
+  });
+
+  it('should skip providers missing a required modality', () => {
+    const calls = ['openai', 'grok'].map((id) => ({ descriptor: PROVIDER_REGISTRY.get(id), apiKey: 'k', options: { target: id } }));
+    const modalities = requiredModalities({ messages: [{ role: 'user', content: [image, pdf] }] });
+    const { calls: kept, skipped } = partitionCallsByModality(calls, modalities);
+    expect(kept.map((call) => call.options.target)).toEqual(['openai']);
+    expect(skipped).toEqual([
+      { provider: 'xAI Grok', target: 'grok', reason: 'grok does not accept document input', unsupportedModalities: ['document'] }
+    ]);
+  });
+});
+
+describe('Usage and Cost', () => {
+  const prices = {
+    'gpt-4o': { input: 2.5, output: 10, cachedInput: 1.25 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6, cachedInput: 0.075 }
+  };
+
+  it('should normalize OpenAI usage', () => {
+    expect(parseOpenAIUsage({ usage: { prompt_tokens: 1200, completion_tokens: 85, prompt_tokens_details: { cached_tokens: 1024 } } }))
+      .toEqual({ inputTokens: 1200, outputTokens: 85, cachedTokens: 1024 });
+  });
+
+  it('should count Anthropic cache reads and writes as input', () => {
+    expect(parseClaudeUsage({ usage: { input_tokens: 100, output_tokens: 20, cache_read_input_tokens: 50, cache_creation_input_tokens: 10 } }))
+      .toEqual({ inputTokens: 160, outputTokens: 20, cachedTokens: 50 });
+  });
+
+  it('should count Gemini thinking tokens as output', () => {
+    expect(parseGeminiUsage({ usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 5, thoughtsTokenCount: 7 } }))
+      .toEqual({ inputTokens: 10, outputTokens: 12, cachedTokens: 0 });
+  });
+
+  it('should return undefined when a response has no usage', () => {
+    expect(parseOpenAIUsage({})).toBeUndefined();
+    expect(parseClaudeUsage({})).toBeUndefined();
+  });
+
+  it('should sum usage across repair round trips', () => {
+    const first = { inputTokens: 100, outputTokens: 10, cachedTokens: 0 };
+    const repair = { inputTokens: 150, outputTokens: 12, cachedTokens: 100 };
+    expect(addUsage(addUsage(undefined, first), repair)).toEqual({ inputTokens: 250, outputTokens: 22, cachedTokens: 100 });
+  });
+
+  it('should match prices by the longest model prefix', () => {
+    expect(findModelPrice(prices, 'gpt-4o-2024-08-06')).toBe(prices['gpt-4o']);
+    expect(findModelPrice(prices, 'gpt-4o-mini-2024-07-18')).toBe(prices['gpt-4o-mini']);
+    expect(findModelPrice(prices, 'llama3.1')).toBeUndefined();
+  });
+
+  it('should price cached input at the cached rate', () => {
+    expect(estimateCost({ inputTokens: 1200, outputTokens: 85, cachedTokens: 1024 }, prices['gpt-4o']))
+      .toEqual({ input: 0.00172, output: 0.00085, total: 0.00257, currency: 'USD' });
+  });
+
+  it('should fall back to the input rate when no cached rate is set', () => {
+    expect(estimateCost({ inputTokens: 1000000, outputTokens: 0, cachedTokens: 500000 }, { input: 2, output: 10 }).input).toBe(2);
+  });
+});
+
+describe('Response Caching', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  const fresh = { provider: 'OpenAI GPT-4', target: 'openai', success: true, data: { answer: 'Paris' }, latency: 900 };
+
+  const createCache = (mode, store = createMemoryStore()) => {
+    const writes = [];
+    return { store, mode, ttlSeconds: 3600, defer: (promise) => writes.push(promise), flush: () => Promise.all(writes) };
+  };
+
+  const setup = (mode) => {
+    let calls = 0;
+    const cache = createCache(mode);
+    const query = async () => {
+      calls++;
+      return fresh;
+    };
+    return { cache, query, calls: () => calls };
+  };
+
+  const openaiCall = (options = {}, apiKey = 'k') => ({
+    descriptor: PROVIDER_REGISTRY.get('openai'),
+    apiKey,
+    options: { target: 'openai', ...options }
+  });
+  const prompt = { messages: [{ role: 'user', content: 'Capital of France?' }] };
+
+  it('should serve the second identical request from the cache', async () => {
+    const { cache, query, calls } = setup('default');
+    const first = await queryThroughCache(cache, 'k', fresh, query);
+    await cache.flush();
+    const second = await queryThroughCache(cache, 'k', fresh, query);
+
+    expect(first.cached).toBe(false);
+    expect(second.cached).toBe(true);
+    expect(second.cacheAge).toBe(0);
+    expect(second.data).toEqual({ answer: 'Paris' });
+    expect(calls()).toBe(1);
+  });
+
+  it('should always query and overwrite in refresh mode', async () => {
+    const { cache, query, calls } = setup('refresh');
+    await queryThroughCache(cache, 'k', fresh, query);
+    const second = await queryThroughCache(cache, 'k', fresh, query);
+    await cache.flush();
+
+    expect(second.cached).toBe(false);
+    expect(calls()).toBe(2);
+    expect(await cache.store.get('k')).not.toBeNull();
+  });
+
+  it('should report a miss without querying in only mode', async () => {
+    const { cache, query, calls } = setup('only');
+    const response = await queryThroughCache(cache, 'k', fresh, query);
+
+    expect(response.success).toBe(false);
+    expect(response.errorType).toBe('cache_miss');
+    expect(calls()).toBe(0);
+  });
+
+  it('should not cache failed responses', async () => {
+    const cache = createCache('default');
+    await queryThroughCache(cache, 'k', fresh, async () => ({ ...fresh, success: false, error: 'timeout' }));
+    await cache.flush();
+    expect(await cache.store.get('k')).toBeNull();
+  });
+
+  it('should treat entries older than the TTL as misses', async () => {
+    const store = createMemoryStore();
+    await store.put('old', JSON.stringify({ response: fresh, storedAt: Date.now() - 61000 }));
+    await store.put('recent', JSON.stringify({ response: fresh, storedAt: Date.now() - 59000 }));
+    expect(await readCachedResponse(store, 'old', 60)).toBeUndefined();
+    expect(await readCachedResponse(store, 'recent', 60)).toMatchObject({ cached: true, cacheAge: 59 });
+  });
+
+  it('should expire memory store entries after expirationTtl', async () => {
+    let now = 0;
+    const store = createMemoryStore(() => now);
+    await store.put('k', 'v', { expirationTtl: 60 });
+    now = 59999;
+    expect(await store.get('k')).toBe('v');
+    now = 60000;
+    expect(await store.get('k')).toBeNull();
+  });
+
+  it('should derive the same key regardless of schema property order', async () => {
+    const a = await buildCacheKey(openaiCall({ model: 'gpt-4o' }), prompt, { type: 'object', required: ['a'] });
+    const b = await buildCacheKey(openaiCall({ model: 'gpt-4o' }), prompt, { required: ['a'], type: 'object' });
+    const c = await buildCacheKey(openaiCall({ model: 'gpt-4o-mini' }), prompt, { type: 'object', required: ['a'] });
+
+    expect(a).toBe(b);
+    expect(a).not.toBe(c);
+    expect(a).toMatch(/^response:[0-9a-f]{64}$/);
+  });
+
+  it('should keep entries apart for different API keys', async () => {
+    const schema = { type: 'object' };
+    const a = await buildCacheKey(openaiCall({}, 'key-a'), prompt, schema);
+    const b = await buildCacheKey(openaiCall({}, 'key-b'), prompt, schema);
+    expect(a).not.toBe(b);
+  });
+
+  it('should not serve one caller\'s cached answer to a caller with a different key', async () => {
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async (_, init) =>
+      init.headers.Authorization === 'Bearer good'
+        ? new Response(JSON.stringify({ choices: [{ message: { content: '{"answer":"Paris","confidence":0.9}' }, finish_reason: 'stop' }] }))
+        : new Response('{"error":{"message":"Incorrect API key provided","code":"invalid_api_key"}}', { status: 401 })
+    );
+    const cache = createCache('default');
+
+    const [first] = await Promise.all(buildLLMPromises(prompt, mockSchema, [openaiCall({}, 'good')], cache));
+    await cache.flush();
+    const [intruder] = await Promise.all(buildLLMPromises(prompt, mockSchema, [openaiCall({}, 'bogus')], cache));
+    const [repeat] = await Promise.all(buildLLMPromises(prompt, mockSchema, [openaiCall({}, 'good')], cache));
+
+    expect(first).toMatchObject({ success: true, cached: false });
+    expect(intruder).toMatchObject({ success: false, errorType: 'auth', cached: false });
+    expect(repeat).toMatchObject({ success: true, cached: true });
+  });
+
+  it('should label a shared cache entry with the target that asked for it', async () => {
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async () =>
+      new Response(JSON.stringify({ choices: [{ message: { content: '{"answer":"Paris","confidence":0.9}' }, finish_reason: 'stop' }] }))
+    );
+    const cache = createCache('default');
+
+    await Promise.all(buildLLMPromises(prompt, mockSchema, [openaiCall({ target: 'a', model: 'gpt-4o' })], cache));
+    await cache.flush();
+    const responses = await Promise.all(
+      buildLLMPromises(prompt, mockSchema, [openaiCall({ target: 'a', model: 'gpt-4o' }), openaiCall({ target: 'b', model: 'gpt-4o' })], cache)
+    );
+
+    expect(responses.map(({ target, cached }) => [target, cached])).toEqual([
+      ['a', true],
+      ['b', true]
+    ]);
+    expect(responses[1]).toMatchObject({ provider: responses[0].provider, model: 'gpt-4o' });
+  });
+});
+
+describe('Client Tokens', () => {
+  const request = (authorization) =>
+    new Request('https://worker.test/v1/query', { method: 'POST', headers: authorization ? { Authorization: authorization } : {} });
+
+  const issue = async (token, record) => {
+    const tokens = createMemoryStore();
+    await tokens.put(`token:${await sha256Hex(token)}`, JSON.stringify(record));
+    return { AUTH_TOKENS: tokens };
+  };
+
+  it('should extract bearer tokens case-insensitively', () => {
+    expect(readBearerToken(request('Bearer abc123'))).toBe('abc123');
+    expect(readBearerToken(request('bearer abc123'))).toBe('abc123');
+    expect(readBearerToken(request('Basic abc123'))).toBeUndefined();
+    expect(readBearerToken(request('Bearer'))).toBeUndefined();
+  });
+
+  it('should treat a missing header as an anonymous caller', async () => {
+    expect(await authenticate(request(), {})).toEqual({ success: true, value: undefined });
+  });
+
+  it('should resolve a stored token by its hash', async () => {
+    const env = await issue('secret', { name: 'finance', providers: ['openai'] });
+    const result = await authenticate(request('Bearer secret'), env);
+
+    expect(result.success).toBe(true);
+    expect(result.value.name).toBe('finance');
+    expect(result.value.id).toMatch(/^[0-9a-f]{16}$/);
+  });
+
+  it('should reject unknown, revoked and expired tokens', async () => {
+    expect((await authenticate(request('Bearer nope'), { AUTH_TOKENS: createMemoryStore() })).error).toBe('Invalid API token');
+
+    const revoked = await issue('secret', { name: 'a', providers: '*', disabled: true });
+    expect((await authenticate(request('Bearer secret'), revoked)).error).toBe('API token has been revoked');
+
+    const expired = await issue('secret', { name: 'a', providers: '*', expiresAt: '2020-01-01T00:00:00Z' });
+    expect((await authenticate(request('Bearer secret'), expired)).error).toBe('API token has expired');
+  });
+
+  it('should scope environment keys to the token providers', () => {
+    const caller = { id: 'x', name: 'finance', providers: ['openai'] };
+    expect(mayUseEnvKey(caller, {}, 'openai')).toBe(true);
+    expect(mayUseEnvKey(caller, {}, 'gemini')).toBe(false);
+    expect(mayUseEnvKey({ ...caller, providers: '*' }, {}, 'gemini')).toBe(true);
+  });
+
+  it('should deny environment keys to anonymous callers unless allowed', () => {
+    expect(mayUseEnvKey(undefined, {}, 'openai')).toBe(false);
+    expect(mayUseEnvKey(undefined, { ALLOW_ANONYMOUS_ENV_KEYS: 'true' }, 'openai')).toBe(true);
+  });
+});
+
+describe('Rate Limits and Quotas', () => {
+  const RATE_WINDOW_MS = 60000;
+  const DAY_MS = 86400000;
+  const noon = Date.UTC(2025, 0, 15, 12, 0, 30);
+
+  const spent = (inputTokens, outputTokens, total) => [{
+    provider: 'OpenAI GPT-4',
+    success: true,
+    latency: 1,
+    usage: { inputTokens, outputTokens, cachedTokens: 0 },
+    cost: { input: total, output: 0, total, currency: 'USD' }
+  }];
+
+  it('should warn when limits are configured without the RATE_LIMITS binding', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const bound = createMemoryStore();
+
+    expect(resolveLimitStore({ RATE_LIMITS: bound }, { requestsPerMinute: 30 })).toBe(bound);
+    resolveLimitStore({}, {});
+    expect(warn).not.toHaveBeenCalled();
+
+    resolveLimitStore({}, { costPerDay: 25 });
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(warn.mock.calls[0][0]).message).toMatch(/without a RATE_LIMITS binding/);
+    warn.mockRestore();
+  });
+
+  it('should allow requests up to the per-minute limit', async () => {
+    const store = createMemoryStore();
+    const limits = { requestsPerMinute: 2 };
+    expect((await checkClientLimits(store, 'ip:1.1.1.1', limits, noon)).headers['X-RateLimit-Remaining']).toBe('1');
+    expect((await checkClientLimits(store, 'ip:1.1.1.1', limits, noon)).headers['X-RateLimit-Remaining']).toBe('0');
+
+    const denied = await checkClientLimits(store, 'ip:1.1.1.1', limits, noon);
+    expect(denied.allowed).toBe(false);
+    expect(denied.headers['Retry-After']).toBe('30');
+  });
+
+  it('should count callers separately', async () => {
+    const store = createMemoryStore();
+    await checkClientLimits(store, 'token:a', { requestsPerMinute: 1 }, noon);
+    expect((await checkClientLimits(store, 'token:b', { requestsPerMinute: 1 }, noon)).allowed).toBe(true);
+  });
+
+  it('should start a fresh window every minute', async () => {
+    const store = createMemoryStore();
+    await checkClientLimits(store, 'ip:1.1.1.1', { requestsPerMinute: 1 }, noon);
+    expect((await checkClientLimits(store, 'ip:1.1.1.1', { requestsPerMinute: 1 }, noon + RATE_WINDOW_MS)).allowed).toBe(true);
+  });
+
+  it('should reject once the daily token quota is spent until UTC midnight', async () => {
+    const store = createMemoryStore();
+    await recordQuotaUsage(store, 'token:a', spent(900, 100, 0.01), noon);
+
+    const denied = await checkClientLimits(store, 'token:a', { tokensPerDay: 1000 }, noon);
+    expect(denied.allowed).toBe(false);
+    expect(denied.headers['Retry-After']).toBe(String(12 * 3600 - 30));
+    expect((await checkClientLimits(store, 'token:a', { tokensPerDay: 1000 }, noon + DAY_MS)).allowed).toBe(true);
+  });
+
+  it('should enforce the daily cost quota', async () => {
+    const store = createMemoryStore();
+    await recordQuotaUsage(store, 'token:a', spent(1, 1, 5), noon);
+    expect((await checkClientLimits(store, 'token:a', { costPerDay: 10 }, noon)).allowed).toBe(true);
+    await recordQuotaUsage(store, 'token:a', spent(1, 1, 5), noon);
+    expect((await checkClientLimits(store, 'token:a', { costPerDay: 10 }, noon)).error).toBe('Daily quota exhausted');
+  });
+
+  it('should not charge cache hits against the quota', async () => {
+    const store = createMemoryStore();
+    await recordQuotaUsage(store, 'token:a', spent(900, 100, 1).map((response) => ({ ...response, cached: true })), noon);
+    expect((await checkClientLimits(store, 'token:a', { tokensPerDay: 1000 }, noon)).allowed).toBe(true);
+  });
+
+  it('should not count a request rejected by the quota against the rate limit', async () => {
+    const store = createMemoryStore();
+    await recordQuotaUsage(store, 'ip:1.1.1.1', spent(10, 0, 0), noon);
+    await checkClientLimits(store, 'ip:1.1.1.1', { tokensPerDay: 5, requestsPerMinute: 1 }, noon);
+    expect(await store.get(`rate:ip:1.1.1.1:${Math.floor(noon / RATE_WINDOW_MS)}`)).toBeNull();
+  });
+});
+
+describe('CORS', () => {
+  it('should allow any origin by default', () => {
+    const config = resolveCorsConfig({});
+    expect(config).toEqual({ origins: '*', methods: ['GET', 'POST', 'OPTIONS'], headers: ['Content-Type', 'Authorization', 'Accept'], maxAge: 86400 });
+    expect(buildCorsHeaders(config, 'https://anywhere.example')['Access-Control-Allow-Origin']).toBe('*');
+  });
+
+  it('should parse comma-separated allowlists', () => {
+    const config = resolveCorsConfig({ CORS_ALLOWED_ORIGINS: ' https://a.com ,https://b.com,', CORS_ALLOWED_METHODS: 'post,options' });
+    expect(config.origins).toEqual(['https://a.com', 'https://b.com']);
+    expect(config.methods).toEqual(['POST', 'OPTIONS']);
+  });
+
+  it('should echo a listed origin and vary on it', () => {
+    const config = resolveCorsConfig({ CORS_ALLOWED_ORIGINS: 'https://a.com' });
+    const headers = buildCorsHeaders(config, 'https://a.com');
+    expect(headers).toMatchObject({ 'Access-Control-Allow-Origin': 'https://a.com', Vary: 'Origin' });
+    expect(headers['Access-Control-Expose-Headers']).toContain('X-RateLimit-Remaining');
+  });
+
+  it('should omit Allow-Origin for unlisted or missing origins', () => {
+    const config = resolveCorsConfig({ CORS_ALLOWED_ORIGINS: 'https://a.com' });
+    expect(buildCorsHeaders(config, 'https://evil.example')).toEqual({ Vary: 'Origin' });
+    expect(buildCorsHeaders(config, null)).toEqual({ Vary: 'Origin' });
+  });
+
+  it('should treat a wildcard anywhere in the list as any origin', () => {
+    expect(resolveCorsConfig({ CORS_ALLOWED_ORIGINS: 'https://a.com,*' }).origins).toBe('*');
+    expect(resolveCorsConfig({ CORS_ALLOWED_HEADERS: '*' }).headers).toBe('*');
+  });
+
+  it('should ignore an invalid max age', () => {
+    expect(resolveCorsConfig({ CORS_MAX_AGE: 'soon' }).maxAge).toBe(86400);
+    expect(resolveCorsConfig({ CORS_MAX_AGE: '600' }).maxAge).toBe(600);
+  });
+});
+
+describe('Routing', () => {
+  const ctx = { waitUntil: () => {}, passThroughOnException: () => {} };
+  const route = (method, pathname) =>
+    worker.fetch(new Request(`https://worker.test${pathname}`, { method, body: method === 'POST' ? '{' : undefined }), {}, ctx);
+
+  it('should match static paths exactly', () => {
+    expect(matchPath('/v1/query', '/v1/query')).toEqual({});
+    expect(matchPath('/v1/query', '/v1/query/extra')).toBeUndefined();
+    expect(matchPath('/', '/v1')).toBeUndefined();
+  });
+
+  it('should capture and decode parameter segments', () => {
+    expect(matchPath('/v1/jobs/:id', '/v1/jobs/a%20b')).toEqual({ id: 'a b' });
+  });
+
+  it('should answer 404 rather than 500 for a malformed percent-escape', async () => {
+    expect(matchPath('/v1/jobs/:id', '/v1/jobs/%E0%A4%A')).toBeUndefined();
+
+    const response = await route('GET', '/v1/jobs/%E0%A4%A');
+    expect(response.status).toBe(404);
+    expect((await response.json()).error).toBe('Not found: GET /v1/jobs/%E0%A4%A');
+  });
+
+  it('should ignore trailing slashes but keep the root', () => {
+    expect(normalizePath('/v1/health/')).toBe('/v1/health');
+    expect(normalizePath('/')).toBe('/');
+  });
+
+  it('should keep POST / as an alias for the query route', async () => {
+    const legacy = await route('POST', '/');
+    const versioned = await route('POST', '/v1/query');
+    expect(legacy.status).toBe(400);
+    expect((await legacy.json()).error).toBe((await versioned.json()).error);
+  });
+
+  it('should return 404 for unknown paths instead of treating them as queries', async () => {
+    expect((await route('POST', '/v2/query')).status).toBe(404);
+    expect((await route('GET', '/favicon.ico')).status).toBe(404);
+  });
+
+  it('should return 405 with the allowed methods for a known path', async () => {
+    const root = await route('GET', '/');
+    expect(root.status).toBe(405);
+    expect(root.headers.get('Allow')).toBe('POST, OPTIONS');
+    expect((await route('POST', '/v1/health')).headers.get('Allow')).toBe('GET, OPTIONS');
+  });
+});
+
+describe('Health Probes', () => {
+  it('should report the failure type as the probe outcome', () => {
+    expect(summarizeProbe({ provider: 'A', success: true, latency: 1 }).outcome).toBe('ok');
+    expect(summarizeProbe({ provider: 'A', success: false, errorType: 'auth', latency: 1 }).outcome).toBe('auth');
+    expect(summarizeProbe({ provider: 'A', success: false, errorType: 'provider_5xx', latency: 1 }).outcome).toBe('provider_5xx');
+  });
+
+  it('should roll probes up into an overall status', () => {
+    const ok = { id: 'a', name: 'A', configured: true, probe: { outcome: 'ok', latency: 1 } };
+    const failed = { id: 'b', name: 'B', configured: true, probe: { outcome: 'auth', latency: 1 } };
+    const unconfigured = { id: 'c', name: 'C', configured: false };
+    expect(overallProbeStatus([ok, unconfigured])).toBe('ok');
+    expect(overallProbeStatus([ok, failed])).toBe('degraded');
+    expect(overallProbeStatus([failed, unconfigured])).toBe('down');
+  });
+
+  it('should not report ok when nothing was probed', async () => {
+    expect(overallProbeStatus([{ id: 'c', name: 'C', configured: false }])).toBe('unconfigured');
+    expect(overallProbeStatus([])).toBe('unconfigured');
+
+    const ctx = { waitUntil: () => {}, passThroughOnException: () => {} };
+    const response = await worker.fetch(new Request('https://worker.test/v1/health?probe=true'), {}, ctx);
+    expect(response.status).toBe(200);
+    expect((await response.json()).status).toBe('unconfigured');
+  });
+});
+
+describe('Error Taxonomy', () => {
+  it('should read OpenAI and Grok error bodies', () => {
+    const body = JSON.stringify({ error: { message: 'Incorrect API key provided', type: 'invalid_request_error', code: 'invalid_api_key' } });
+    expect(parseProviderError(body)).toEqual({ code: 'invalid_api_key', message: 'Incorrect API key provided' });
+  });
+
+  it('should fall back to the error type when OpenAI sends a null code', () => {
+    const body = JSON.stringify({ error: { message: 'Bad schema', type: 'invalid_request_error', code: null } });
+    expect(parseProviderError(body)).toEqual({ code: 'invalid_request_error', message: 'Bad schema' });
+  });
+
+  it('should read Anthropic error bodies', () => {
+    const body = JSON.stringify({ type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } });
+    expect(parseProviderError(body)).toEqual({ code: 'overloaded_error', message: 'Overloaded' });
+  });
+
+  it('should prefer the Gemini detail reason over its status', () => {
+    const body = JSON.stringify({
+      error: { code: 400, message: 'API key not valid.', status: 'INVALID_ARGUMENT', details: [{ '@type': 'ErrorInfo', reason: 'API_KEY_INVALID' }] }
+    });
+    expect(parseProviderError(body)).toEqual({ code: 'API_KEY_INVALID', message: 'API key not valid.' });
+  });
+
+  it('should ignore bodies that are not JSON error envelopes', () => {
+    expect(parseProviderError('<html>Bad Gateway</html>')).toBeUndefined();
+    expect(parseProviderError('{"choices":[]}')).toBeUndefined();
+    expect(parseProviderError('{"error":"quota exceeded"}')).toEqual({ message: 'quota exceeded' });
+  });
+
+  it('should classify HTTP statuses', () => {
+    expect(classifyHttpError(401)).toBe('auth');
+    expect(classifyHttpError(403)).toBe('auth');
+    expect(classifyHttpError(429)).toBe('rate_limit');
+    expect(classifyHttpError(408)).toBe('timeout');
+    expect(classifyHttpError(529)).toBe('provider_5xx');
+    expect(classifyHttpError(400)).toBe('invalid_request');
+  });
+
+  it('should use vendor codes to refine a 400', () => {
+    expect(classifyHttpError(400, { code: 'API_KEY_INVALID' })).toBe('auth');
+    expect(classifyHttpError(400, { code: 'content_policy_violation' })).toBe('content_filtered');
+    expect(classifyHttpError(400, { code: 'invalid_request_error' })).toBe('invalid_request');
+  });
+
+  it('should mark transient failures as retryable', () => {
+    expect(describeFailure('rate_limit')).toEqual({ errorType: 'rate_limit', retryable: true });
+    expect(describeFailure('schema_violation').retryable).toBe(true);
+    expect(describeFailure('auth').retryable).toBe(false);
+    expect(describeFailure('refusal').retryable).toBe(false);
+    expect(describeFailure('cache_miss').retryable).toBe(false);
+  });
+});
+
+describe('Finish Reasons, Refusals and Safety Blocks', () => {
+  it('should surface the finish reason on successful output', () => {
+    const result = parseChatCompletion({ choices: [{ finish_reason: 'stop', message: { content: '{"a":1}' } }] }, 'OpenAI');
+    expect(result).toMatchObject({ success: true, value: { a: 1 }, completion: { finishReason: 'stop' } });
+  });
+
+  it('should report an OpenAI refusal instead of missing content', () => {
+    const result = parseChatCompletion({ choices: [{ finish_reason: 'stop', message: { content: null, refusal: 'I cannot help.' } }] }, 'OpenAI');
+    expect(result.errorType).toBe('refusal');
+    expect(result.error).toBe('OpenAI declined: I cannot help.');
+    expect(result.completion).toEqual({ finishReason: 'stop', refusal: 'I cannot help.' });
+  });
+
+  it('should detect content filtering and truncation in chat completions', () => {
+    expect(parseChatCompletion({ choices: [{ finish_reason: 'content_filter', message: {} }] }, 'Grok').errorType).toBe('content_filtered');
+    const truncated = parseChatCompletion({ choices: [{ finish_reason: 'length', message: { content: '{"a":' } }] }, 'OpenAI');
+    expect(truncated.errorType).toBe('truncated');
+    expect(truncated.raw).toBeUndefined();
+  });
+
+  it('should notice Claude stopping at max_tokens mid tool call', () => {
+    const result = parseClaudeResponse({ stop_reason: 'max_tokens', content: [{ type: 'tool_use', input: { answer: 'Par' } }] });
+    expect(result).toMatchObject({ success: false, errorType: 'truncated', completion: { finishReason: 'max_tokens' } });
+  });
+
+  it('should keep the text of a Claude refusal', () => {
+    const result = parseClaudeResponse({ stop_reason: 'refusal', content: [{ type: 'text', text: 'I will not do that.' }] });
+    expect(result).toMatchObject({ errorType: 'refusal', completion: { finishReason: 'refusal', refusal: 'I will not do that.' } });
+  });
+
+  it('should accept a Claude tool call that finished normally', () => {
+    const result = parseClaudeResponse({ stop_reason: 'tool_use', content: [{ type: 'tool_use', input: { answer: 'Paris' } }] });
+    expect(result).toMatchObject({ success: true, value: { answer: 'Paris' }, completion: { finishReason: 'tool_use' } });
+  });
+
+  it('should report a blocked Gemini prompt with its safety ratings', () => {
+    const result = parseGeminiResponse({
+      promptFeedback: { blockReason: 'SAFETY', safetyRatings: [{ category: 'HARM_CATEGORY_HARASSMENT', probability: 'HIGH', blocked: true }] }
+    });
+    expect(result.errorType).toBe('content_filtered');
+    expect(result.completion).toEqual({
+      blockReason: 'SAFETY',
+      safetyRatings: [{ category: 'HARM_CATEGORY_HARASSMENT', probability: 'HIGH', blocked: true }]
+    });
+  });
+
+  it('should report Gemini output stopped for safety or length', () => {
+    expect(parseGeminiResponse({ candidates: [{ finishReason: 'SAFETY' }] }).error).toBe('Gemini blocked the output (SAFETY)');
+    expect(parseGeminiResponse({ candidates: [{ finishReason: 'RECITATION' }] }).errorType).toBe('content_filtered');
+    expect(parseGeminiResponse({ candidates: [{ finishReason: 'MAX_TOKENS', content: { parts: [{ text: '{"a"' }] } }] }).errorType).toBe('truncated');
+  });
+
+  it('should leave completion out when the vendor sent nothing about it', () => {
+    expect(parseGeminiResponse({ candidates: [{ content: { parts: [{ text: '{}' }] } }] }).completion).toBeUndefined();
+  });
+});
+
+describe('Batches', () => {
+  const ctx = { waitUntil: () => {}, passThroughOnException: () => {} };
+
+  const openaiReply = () =>
+    new Response(JSON.stringify({
+      choices: [{ message: { content: '{"answer":"Paris","confidence":0.9}' }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 60, completion_tokens: 20 }
+    }));
+
+  const postBatch = (env, queries) =>
+    worker.fetch(
+      new Request('https://worker.test/v1/batch', {
+        method: 'POST',
+        body: JSON.stringify({
+          queries,
+          concurrency: 1,
+          defaults: { schema: mockSchema, targets: [{ provider: 'openai' }], apiKeys: { openai: 'k' } }
+        })
+      }),
+      { RATE_LIMITS: createMemoryStore(), ...env },
+      ctx
+    );
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should keep results in input order regardless of completion order', async () => {
+    const delays = [30, 5, 15, 0];
+    const results = await mapWithConcurrency(delays, 2, async (delay, index) => {
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      return index;
+    });
+    expect(results).toEqual([0, 1, 2, 3]);
+  });
+
+  it('should never exceed the concurrency limit', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    await mapWithConcurrency(Array.from({ length: 10 }, (_, i) => i), 3, async () => {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      await new Promise((resolve) => setTimeout(resolve, 1));
+      inFlight--;
+    });
+    expect(peak).toBe(3);
+  });
+
+  it('should handle an empty list and a limit above the item count', async () => {
+    expect(await mapWithConcurrency([], 4, async (x) => x)).toEqual([]);
+    expect(await mapWithConcurrency([1, 2], 16, async (x) => x * 2)).toEqual([2, 4]);
+  });
+
+  it('should require a bounded, non-empty list of queries', () => {
+    expect(validateBatchRequest({ queries: [] }).error).toBe('queries must be a non-empty array');
+    expect(validateBatchRequest({ queries: 'q' }).success).toBe(false);
+    expect(validateBatchRequest({ queries: new Array(501).fill({ query: 'q' }) }).error).toBe('A batch may contain at most 500 queries');
+    expect(validateBatchRequest({ queries: [{ query: 'q' }] }).success).toBe(true);
+  });
+
+  it('should validate concurrency, defaults and stream', () => {
+    expect(validateBatchRequest({ queries: [1], concurrency: 0 }).success).toBe(false);
+    expect(validateBatchRequest({ queries: [1], concurrency: 17 }).success).toBe(false);
+    expect(validateBatchRequest({ queries: [1], concurrency: 2.5 }).success).toBe(false);
+    expect(validateBatchRequest({ queries: [1], concurrency: 16 }).success).toBe(true);
+    expect(validateBatchRequest({ queries: [1], defaults: [] }).error).toBe('defaults must be an object');
+    expect(validateBatchRequest({ queries: [1], stream: 'yes' }).error).toBe('stream must be a boolean');
+  });
+
+  it('should let items override defaults and never stream', () => {
+    const defaults = { schema: { type: 'object' }, apiKeys: { openai: 'k' }, stream: true };
+    expect(mergeBatchItem({ query: 'q', apiKeys: { grok: 'g' } }, defaults)).toEqual({
+      schema: { type: 'object' },
+      apiKeys: { grok: 'g' },
+      query: 'q',
+      stream: undefined
+    });
+  });
+
+  it('should pass malformed items through so validation reports them', () => {
+    expect(mergeBatchItem('junk', { apiKeys: {} })).toBe('junk');
+    expect(mergeBatchItem(null, undefined)).toBeNull();
+  });
+
+  it('should count every item against the rate limit and fail the rest with 429', async () => {
+    const fetchSpy = vi.spyOn(globalThis, 'fetch').mockImplementation(async () => openaiReply());
+    const queries = ['a', 'b', 'c', 'd'].map((query) => ({ query }));
+    const body = await (await postBatch({ RATE_LIMIT_PER_MINUTE: '2' }, queries)).json();
+
+    expect(body.results.map((result) => result.status ?? 200)).toEqual([200, 200, 429, 429]);
+    expect(body.results[2].error).toBe('Rate limit exceeded');
+    expect(fetchSpy).toHaveBeenCalledTimes(2);
+  });
+
+  it('should stop dispatching items once the daily quota is spent', async () => {
+    const fetchSpy = vi.spyOn(globalThis, 'fetch').mockImplementation(async () => openaiReply());
+    const queries = ['a', 'b', 'c'].map((query) => ({ query }));
+    const body = await (await postBatch({ DAILY_TOKEN_QUOTA: '100' }, queries)).json();
+
+    expect(body.results.map((result) => result.status ?? 200)).toEqual([200, 200, 429]);
+    expect(body.results[2].error).toBe('Daily quota exhausted');
+    expect(fetchSpy).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('Jobs', () => {
+  it('should compute a standard HMAC-SHA256', async () => {
+    expect(await hmacSha256Hex('key', 'The quick brown fox jumps over the lazy dog')).toBe(
+      'f7bc83f430538424b13298e6aa6fb143ef4d59a14946175997479dbc2d1a3cd8'
+    );
+  });
+
+  it('should sign the timestamp together with the body', async () => {
+    const body = JSON.stringify({ id: 'job-1', status: 'succeeded' });
+    const headers = await buildCallbackHeaders('secret', { id: 'job-1' }, body, 1_700_000_000_500);
+    expect(headers['X-Webhook-Timestamp']).toBe('1700000000');
+    expect(headers['X-Job-Id']).toBe('job-1');
+    expect(headers['X-Webhook-Signature']).toBe(`sha256=${await hmacSha256Hex('secret', `1700000000.${body}`)}`);
+    expect(headers['X-Webhook-Signature']).not.toBe(`sha256=${await hmacSha256Hex('secret', body)}`);
+  });
+
+  it('should accept only absolute http(s) callback URLs', () => {
+    expect(validateCallbackUrl('https://example.com/hook')).toBeUndefined();
+    expect(validateCallbackUrl('http://localhost:3000/hook')).toBeUndefined();
+    expect(validateCallbackUrl('/relative')).toBe('callbackUrl must be an absolute URL');
+    expect(validateCallbackUrl('ftp://example.com')).toBe('callbackUrl must be an http(s) URL');
+    expect(validateCallbackUrl(42)).toBe('callbackUrl must be a string');
+  });
+
+  it('should keep job TTLs within what KV accepts', () => {
+    expect(resolveJobTtl({})).toBe(86400);
+    expect(resolveJobTtl({ JOB_TTL_SECONDS: '3600' })).toBe(3600);
+    expect(resolveJobTtl({ JOB_TTL_SECONDS: '30' })).toBe(86400);
+    expect(resolveJobTtl({ JOB_TTL_SECONDS: 'week' })).toBe(86400);
+  });
+
+  it('should give every job a deadline inside the waitUntil budget', () => {
+    const prepared = (timeoutMs) => ({ request: { query: 'q', ...(timeoutMs !== undefined && { timeoutMs }) }, calls: [] });
+    expect(withJobDeadline(prepared()).request.timeoutMs).toBe(20000);
+    expect(withJobDeadline(prepared(60000)).request.timeoutMs).toBe(20000);
+    expect(withJobDeadline(prepared(5000)).request.timeoutMs).toBe(5000);
+  });
+
+  it('should show a token-owned job only to that token', async () => {
+    const ctx = { waitUntil: () => {}, passThroughOnException: () => {} };
+    const env = { JOBS: createMemoryStore(), AUTH_TOKENS: createMemoryStore() };
+    const ownerHash = await sha256Hex('owner-token');
+    await env.AUTH_TOKENS.put(`token:${ownerHash}`, JSON.stringify({ name: 'owner', providers: '*' }));
+    await env.AUTH_TOKENS.put(`token:${await sha256Hex('other-token')}`, JSON.stringify({ name: 'other', providers: '*' }));
+    await env.JOBS.put('job:owned', JSON.stringify({ id: 'owned', status: 'queued', owner: ownerHash.slice(0, 16) }));
+    await env.JOBS.put('job:public', JSON.stringify({ id: 'public', status: 'queued' }));
+
+    const status = async (id, token) => {
+      const headers = token ? { Authorization: `Bearer ${token}` } : {};
+      return (await worker.fetch(new Request(`https://worker.test/v1/jobs/${id}`, { headers }), env, ctx)).status;
+    };
+    expect(await status('owned', 'owner-token')).toBe(200);
+    expect(await status('owned', 'other-token')).toBe(404);
+    expect(await status('owned')).toBe(404);
+    expect(await status('public')).toBe(200);
+  });
+});
+
+describe('Execution Strategies', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  // Fake provider calls: each settles after `delay` ms unless its abort signal fires first
+  const started = [];
+  const call = (target, delay, result) => ({ descriptor: { id: target }, apiKey: 'key', options: { target }, delay, result });
+  const fakeRun = (calls) =>
+    calls.map(({ options, delay, result }) => {
+      started.push(options.target);
+      return new Promise((resolve) => {
+        const timer = setTimeout(() => resolve({ provider: options.target, target: options.target, latency: delay, ...result }), delay);
+        options.signal?.addEventListener('abort', () => {
+          clearTimeout(timer);
+          resolve({ provider: options.target, target: options.target, latency: 0, success: false, errorType: 'cancelled' });
+        });
+      });
+    });
+  const ok = (answer, confidence = 0.5) => ({ success: true, schemaValid: true, data: { answer, confidence } });
+  const failed = { success: false, errorType: 'provider_5xx' };
+
+  it('should parse every strategy and reject anything else', () => {
+    expect(parseStrategy(undefined).value).toEqual({ mode: 'all' });
+    expect(parseStrategy('race').value).toEqual({ mode: 'race' });
+    expect(parseStrategy('fallback').value).toEqual({ mode: 'fallback' });
+    expect(parseStrategy('quorum:2').value).toEqual({ mode: 'quorum', quorum: 2 });
+    expect(parseStrategy('quorum:0').success).toBe(false);
+    expect(parseStrategy('quorum:17').success).toBe(false);
+    expect(parseStrategy('quorum:1.5').success).toBe(false);
+    expect(parseStrategy('fastest').success).toBe(false);
+    expect(parseStrategy(2).success).toBe(false);
+  });
+
+  it('should reject strategies in the request body', () => {
+    expect(validateRequest({ query: 'q', strategy: 'fastest' }).success).toBe(false);
+    expect(validateRequest({ query: 'q', strategy: 'race', stream: true }).error).toBe('stream only supports strategy: all');
+    expect(validateRequest({ query: 'q', strategy: 'quorum:2' }).success).toBe(true);
+  });
+
+  it('should treat answers that differ only in confidence or case as agreeing', () => {
+    expect(agreementKey({ answer: 'Paris', confidence: 0.9 })).toBe(agreementKey({ answer: ' paris', confidence: 0.4 }));
+    expect(agreementKey({ answer: 'Paris' })).not.toBe(agreementKey({ answer: 'Lyon' }));
+    expect(agreementKey({ answer: 'Paris', score: 1 }, 'score')).toBe(agreementKey({ answer: 'Paris', score: 0 }, 'score'));
+    expect(agreementKey({ answer: 'Paris', score: 1 })).not.toBe(agreementKey({ answer: 'Paris', score: 0 }));
+  });
+
+  it('should wait for everyone with all', async () => {
+    const outcome = await runStrategy({ mode: 'all' }, [call('a', 5, ok('x')), call('b', 1, failed)], fakeRun);
+    expect(outcome.responses.map((r) => r.target)).toEqual(['a', 'b']);
+    expect(outcome.cancelled).toEqual([]);
+    expect(outcome.selected).toBeUndefined();
+  });
+
+  it('should return the first usable answer in a race and cancel the rest', async () => {
+    const calls = [call('slow', 50, ok('x')), call('broken', 1, failed), call('fast', 5, ok('y'))];
+    const outcome = await runStrategy({ mode: 'race' }, calls, fakeRun);
+    expect(outcome.selected).toEqual(['fast']);
+    expect(outcome.cancelled).toEqual(['slow']);
+    expect(outcome.responses.map((r) => r.target)).toEqual(['broken', 'fast']);
+  });
+
+  it('should not let a schema-invalid answer win a race', async () => {
+    const calls = [call('invalid', 1, { ...ok('x'), schemaValid: false }), call('valid', 5, ok('y'))];
+    expect((await runStrategy({ mode: 'race' }, calls, fakeRun)).selected).toEqual(['valid']);
+  });
+
+  it('should report no winner when every racer fails', async () => {
+    const outcome = await runStrategy({ mode: 'race' }, [call('a', 1, failed), call('b', 2, failed)], fakeRun);
+    expect(outcome.selected).toBeUndefined();
+    expect(outcome.responses).toHaveLength(2);
+  });
+
+  it('should try fallbacks in order and never start the ones after a success', async () => {
+    started.length = 0;
+    const calls = [call('primary', 1, failed), call('secondary', 1, ok('x')), call('tertiary', 1, ok('y'))];
+    const outcome = await runStrategy({ mode: 'fallback' }, calls, fakeRun);
+    expect(started).toEqual(['primary', 'secondary']);
+    expect(outcome.selected).toEqual(['secondary']);
+    expect(outcome.cancelled).toEqual(['tertiary']);
+    expect(outcome.responses.map((r) => r.target)).toEqual(['primary', 'secondary']);
+  });
+
+  it('should stop at a quorum of agreeing answers', async () => {
+    const calls = [call('a', 1, ok('Paris')), call('b', 3, ok('Lyon')), call('c', 5, ok('paris', 0.9)), call('d', 50, ok('Paris'))];
+    const outcome = await runStrategy({ mode: 'quorum', quorum: 2 }, calls, fakeRun);
+    expect(outcome.selected).toEqual(['a', 'c']);
+    expect(outcome.cancelled).toEqual(['d']);
+    expect(outcome.responses.map((r) => r.target)).toEqual(['a', 'b', 'c']);
+  });
+
+  it('should ignore the configured confidence field when counting a quorum', async () => {
+    const scored = (score) => ({ success: true, schemaValid: true, data: { answer: 'Paris', score } });
+    const calls = [call('a', 1, scored(0.2)), call('b', 2, scored(0.9)), call('c', 50, scored(1))];
+    expect((await runStrategy({ mode: 'quorum', quorum: 2 }, calls, fakeRun)).selected).toBeUndefined();
+    expect((await runStrategy({ mode: 'quorum', quorum: 2 }, calls, fakeRun, 'score')).selected).toEqual(['a', 'b']);
+  });
+
+  it('should return everything when a quorum is never reached', async () => {
+    const outcome = await runStrategy({ mode: 'quorum', quorum: 2 }, [call('a', 1, ok('Paris')), call('b', 2, ok('Lyon'))], fakeRun);
+    expect(outcome.selected).toBeUndefined();
+    expect(outcome.cancelled).toEqual([]);
+    expect(outcome.responses).toHaveLength(2);
+  });
+
+  it('should give a fallback chain one deadline instead of a full timeout per provider', async () => {
+    const hanging = (_, init) => new Promise((_resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(new Error('The operation was aborted')));
+    });
+    vi.spyOn(globalThis, 'fetch').mockImplementation(hanging);
+    const ctx = { waitUntil: () => {}, passThroughOnException: () => {} };
+    const body = {
+      query: 'q',
+      schema: mockSchema,
+      strategy: 'fallback',
+      timeoutMs: 200,
+      targets: [{ provider: 'openai' }, { provider: 'anthropic' }, { provider: 'grok' }],
+      apiKeys: { openai: 'k', anthropic: 'k', grok: 'k' }
+    };
+
+    const startTime = Date.now();
+    const request = new Request('https://worker.test/v1/query', { method: 'POST', body: JSON.stringify(body) });
+    const response = await worker.fetch(request, {}, ctx);
+    const elapsed = Date.now() - startTime;
+
+    const { responses } = await response.json();
+    expect(responses.map((r) => r.errorType)).toEqual(['timeout', 'timeout', 'timeout']);
+    expect(elapsed).toBeLessThan(400);
+  });
+
+  it('should reject a quorum larger than the planned calls before querying anyone', async () => {
+    const fetchSpy = vi.spyOn(globalThis, 'fetch');
+    const ctx = { waitUntil: () => {}, passThroughOnException: () => {} };
+    const body = {
+      query: 'q',
+      schema: mockSchema,
+      strategy: 'quorum:3',
+      targets: [{ provider: 'openai' }, { provider: 'grok' }],
+      apiKeys: { openai: 'k', grok: 'k' }
+    };
+
+    const request = new Request('https://worker.test/v1/query', { method: 'POST', body: JSON.stringify(body) });
+    const response = await worker.fetch(request, {}, ctx);
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).error).toBe('quorum:3 can never be reached: only 2 provider call(s) are planned');
+    expect(fetchSpy).not.toHaveBeenCalled();
+  });
+
+  it('should record the strategy and cancellations in the combined response', () => {
+    const combined = createCombinedResponse('q', [], 10, undefined, [], 'race', { selected: ['a'], cancelled: ['b'] });
+    expect(combined).toMatchObject({ strategy: 'race', selected: ['a'], cancelled: ['b'] });
+    expect(createCombinedResponse('q', [], 10)).toMatchObject({ strategy: 'all' });
+    expect(createCombinedResponse('q', [], 10).cancelled).toBeUndefined();
+  });
+});